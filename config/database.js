@@ -1,8 +1,25 @@
 const mongoose = require('mongoose');
 
+// Checkout, order cancellation and returns use multi-document transactions,
+// which MongoDB only supports on a replica set (or sharded cluster). A
+// single-node replica set is enough for development:
+//   mongod --replSet rs0   then once: mongosh --eval 'rs.initiate()'
+//   MONGODB_URI=mongodb://localhost:27017/payplex?replicaSet=rs0
+const assertTransactionsSupported = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  // setName: replica set member; isdbgrid: mongos in front of a sharded cluster
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error(
+      'MongoDB is a standalone server but transactions need a replica set. ' +
+      'Start mongod with --replSet and run rs.initiate() (see config/database.js).'
+    );
+  }
+};
+
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGODB_URI);
+    await assertTransactionsSupported();
     console.log('MongoDB connected successfully');
   } catch (error) {
     console.error('MongoDB connection error:', error);
@@ -10,4 +27,4 @@ const connectDB = async () => {
   }
 };
 
-module.exports = connectDB;
\ No newline at end of file
+module.exports = connectDB;
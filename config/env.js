@@ -0,0 +1,7 @@
+// Read an integer environment variable, falling back when unset or invalid
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = { intFromEnv };
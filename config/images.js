@@ -0,0 +1,17 @@
+const { intFromEnv } = require('./env');
+
+module.exports = {
+  // Uploads larger than this in either dimension are rejected
+  maxWidth: intFromEnv('IMAGE_MAX_WIDTH', 6000),
+  maxHeight: intFromEnv('IMAGE_MAX_HEIGHT', 6000),
+  // Limit for images downloaded from a URL (bulk import, migrations)
+  maxDownloadBytes: intFromEnv('IMAGE_MAX_DOWNLOAD_MB', 5) * 1024 * 1024,
+  downloadTimeoutMs: intFromEnv('IMAGE_DOWNLOAD_TIMEOUT_SECONDS', 15) * 1000,
+  quality: intFromEnv('IMAGE_QUALITY', 80),
+  // Longest edge in pixels for each responsive variant
+  sizes: {
+    thumbnail: intFromEnv('IMAGE_THUMBNAIL_SIZE', 150),
+    medium: intFromEnv('IMAGE_MEDIUM_SIZE', 600),
+    large: intFromEnv('IMAGE_LARGE_SIZE', 1200)
+  }
+};
@@ -0,0 +1,12 @@
+const { intFromEnv } = require('./env');
+
+// OTP settings (overridable through environment variables)
+module.exports = {
+  length: intFromEnv('OTP_LENGTH', 6),
+  expireMinutes: intFromEnv('OTP_EXPIRE_MINUTES', 10),
+  maxAttempts: intFromEnv('OTP_MAX_ATTEMPTS', 5),
+  lockMinutes: intFromEnv('OTP_LOCK_MINUTES', 15),
+  resendCooldownSeconds: intFromEnv('OTP_RESEND_COOLDOWN_SECONDS', 60),
+  maxResendsPerWindow: intFromEnv('OTP_MAX_RESENDS', 5),
+  resendWindowMinutes: intFromEnv('OTP_RESEND_WINDOW_MINUTES', 60)
+};
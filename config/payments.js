@@ -0,0 +1,16 @@
+const { intFromEnv } = require('./env');
+
+module.exports = {
+  // Provider used for new payments (see services/payments/providers.js). The
+  // mock provider is only a default outside production.
+  provider: process.env.PAYMENT_PROVIDER ||
+    (process.env.NODE_ENV === 'production' ? null : 'mock'),
+  currency: (process.env.PAYMENT_CURRENCY || 'inr').toLowerCase(),
+  // automatic: charged when the buyer pays; manual: authorised, then captured by an admin
+  captureMethod: process.env.PAYMENT_CAPTURE_METHOD === 'manual' ? 'manual' : 'automatic',
+  // Webhooks signed longer ago than this are rejected (replay protection)
+  webhookToleranceSeconds: intFromEnv('PAYMENT_WEBHOOK_TOLERANCE_SECONDS', 300),
+  // Webhook events still processing after this long are assumed abandoned
+  // (e.g. the server restarted) and processed again on redelivery
+  eventLockSeconds: intFromEnv('PAYMENT_EVENT_LOCK_SECONDS', 300)
+};
@@ -0,0 +1,64 @@
+// Named permissions and the roles that grant them
+
+const PERMISSIONS = {
+  CART_MANAGE: 'cart:manage',
+  ORDERS_PLACE: 'orders:place',
+  ORDERS_READ_OWN: 'orders:read:own',
+  ORDERS_READ_ANY: 'orders:read:any',
+  ORDERS_FULFIL_OWN: 'orders:fulfil:own',
+  ORDERS_MANAGE_ANY: 'orders:manage:any',
+  SELLER_APPLY: 'seller:apply',
+  PRODUCTS_CREATE: 'products:create',
+  PRODUCTS_MANAGE_OWN: 'products:manage:own',
+  PRODUCTS_MANAGE_ANY: 'products:manage:any',
+  PRODUCTS_PURGE: 'products:purge',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  USERS_EXPORT: 'users:export',
+  SELLERS_APPROVE: 'sellers:approve',
+  CATEGORIES_MANAGE: 'categories:manage',
+  REVIEWS_WRITE: 'reviews:write',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  DASHBOARD_ADMIN: 'dashboard:admin'
+};
+
+const BUYER_PERMISSIONS = [
+  PERMISSIONS.CART_MANAGE,
+  PERMISSIONS.ORDERS_PLACE,
+  PERMISSIONS.ORDERS_READ_OWN,
+  PERMISSIONS.SELLER_APPLY,
+  PERMISSIONS.REVIEWS_WRITE
+];
+
+const SELLER_PERMISSIONS = [
+  PERMISSIONS.CART_MANAGE,
+  PERMISSIONS.ORDERS_PLACE,
+  PERMISSIONS.ORDERS_READ_OWN,
+  PERMISSIONS.REVIEWS_WRITE,
+  PERMISSIONS.PRODUCTS_CREATE,
+  PERMISSIONS.PRODUCTS_MANAGE_OWN,
+  PERMISSIONS.ORDERS_FULFIL_OWN
+];
+
+const ROLE_PERMISSIONS = {
+  buyer: BUYER_PERMISSIONS,
+  seller: SELLER_PERMISSIONS,
+  support: [
+    ...BUYER_PERMISSIONS,
+    PERMISSIONS.ORDERS_READ_ANY,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.REVIEWS_MODERATE
+  ],
+  admin: Object.values(PERMISSIONS),
+  // Legacy role from before sellers needed approval (see scripts/migrate-roles.js)
+  user: BUYER_PERMISSIONS
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Check whether a role grants a permission
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS, ROLES, hasPermission };
@@ -0,0 +1,6 @@
+const { intFromEnv } = require('./env');
+
+module.exports = {
+  // Archived products can be restored for this many days, then purged by an admin
+  restoreWindowDays: intFromEnv('PRODUCT_RESTORE_WINDOW_DAYS', 30)
+};
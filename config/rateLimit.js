@@ -0,0 +1,30 @@
+const { intFromEnv } = require('./env');
+
+// Rate limit and login lockout settings (overridable through environment variables)
+module.exports = {
+  // memory (single instance) or mongo (shared between instances)
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+
+  // Public auth endpoints, per IP
+  authWindowMinutes: intFromEnv('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15),
+  authMaxPerIp: intFromEnv('AUTH_RATE_LIMIT_MAX', 50),
+
+  // Login / OTP endpoints, per account (email)
+  accountWindowMinutes: intFromEnv('ACCOUNT_RATE_LIMIT_WINDOW_MINUTES', 15),
+  accountMax: intFromEnv('ACCOUNT_RATE_LIMIT_MAX', 10),
+
+  // Unauthenticated image uploads, per IP
+  uploadWindowMinutes: intFromEnv('UPLOAD_RATE_LIMIT_WINDOW_MINUTES', 60),
+  uploadMaxPerIp: intFromEnv('UPLOAD_RATE_LIMIT_MAX', 20),
+
+  // Failed logins: progressive delay after delayAfterFailures, lockout after maxFailures
+  loginDelayAfterFailures: intFromEnv('LOGIN_DELAY_AFTER_FAILURES', 3),
+  loginBaseDelaySeconds: intFromEnv('LOGIN_BASE_DELAY_SECONDS', 1),
+  loginMaxDelaySeconds: intFromEnv('LOGIN_MAX_DELAY_SECONDS', 60),
+  loginMaxFailures: intFromEnv('LOGIN_MAX_FAILURES', 10),
+  loginLockMinutes: intFromEnv('LOGIN_LOCK_MINUTES', 15),
+
+  // Failed two-factor codes at login: lockout after maxFailures
+  twoFactorMaxFailures: intFromEnv('TWO_FACTOR_MAX_FAILURES', 5),
+  twoFactorLockMinutes: intFromEnv('TWO_FACTOR_LOCK_MINUTES', 15)
+};
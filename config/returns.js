@@ -0,0 +1,7 @@
+const { intFromEnv } = require('./env');
+
+module.exports = {
+  // Days after delivery during which a buyer can request a return
+  windowDays: intFromEnv('RETURN_WINDOW_DAYS', 30),
+  reasons: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other']
+};
@@ -0,0 +1,29 @@
+const { intFromEnv } = require('./env');
+
+// Number formats for generated document numbers, e.g. ORD-20261019-000042-7.
+// dateFormat is '', YYYY, YYYYMM or YYYYMMDD (UTC); the counter restarts for
+// each date segment. Each setting can be overridden with <NAME>_NUMBER_* env vars.
+const sequenceFromEnv = (name, defaults) => ({
+  prefix: process.env[`${name}_NUMBER_PREFIX`] ?? defaults.prefix,
+  dateFormat: process.env[`${name}_NUMBER_DATE_FORMAT`] ?? defaults.dateFormat,
+  padding: intFromEnv(`${name}_NUMBER_PADDING`, defaults.padding),
+  checkDigit: process.env[`${name}_NUMBER_CHECK_DIGIT`]
+    ? process.env[`${name}_NUMBER_CHECK_DIGIT`] === 'true'
+    : defaults.checkDigit,
+  separator: '-'
+});
+
+module.exports = {
+  order: sequenceFromEnv('ORDER', {
+    prefix: 'ORD',
+    dateFormat: 'YYYYMMDD',
+    padding: 6,
+    checkDigit: true
+  }),
+  return: sequenceFromEnv('RETURN', {
+    prefix: 'RMA',
+    dateFormat: 'YYYYMM',
+    padding: 5,
+    checkDigit: false
+  })
+};
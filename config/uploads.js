@@ -0,0 +1,13 @@
+const { intFromEnv } = require('./env');
+
+// Upload registry and sweeper settings (overridable through environment variables)
+module.exports = {
+  // Uploads never attached to a product, profile or review are deleted after this
+  unattachedTtlHours: intFromEnv('UPLOAD_UNATTACHED_TTL_HOURS', 24),
+  // How often the sweeper runs inside the API process (0 disables it)
+  sweepIntervalMinutes: intFromEnv('UPLOAD_SWEEP_INTERVAL_MINUTES', 15),
+  sweepBatchSize: intFromEnv('UPLOAD_SWEEP_BATCH_SIZE', 100),
+  // Failed deletions are retried with exponential backoff, then left as failed
+  maxDeleteAttempts: intFromEnv('UPLOAD_MAX_DELETE_ATTEMPTS', 10),
+  maxRetryDelayMinutes: intFromEnv('UPLOAD_MAX_RETRY_DELAY_MINUTES', 24 * 60)
+};
@@ -0,0 +1,182 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { ADDRESS_FIELDS } = require("../models/Address");
+
+// Pick address fields present in the request body
+const pickAddressFields = (body = {}) => {
+  const fields = {};
+  for (const field of ADDRESS_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+};
+
+// Make the given address the only default one
+const setDefaultAddress = (user, addressId) => {
+  user.addresses.forEach((address) => {
+    address.isDefault = address._id.toString() === addressId.toString();
+  });
+};
+
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    message: "Invalid address",
+    errors: Object.values(error.errors).map((err) => err.message),
+  });
+};
+
+// Get all saved addresses
+exports.getAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({
+      message: "Addresses fetched successfully",
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Failed to fetch addresses", error: error.message });
+  }
+};
+
+// Add a new address
+exports.addAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    user.addresses.push(pickAddressFields(req.body));
+    const address = user.addresses[user.addresses.length - 1];
+
+    // First address, or explicitly requested, becomes the default
+    if (user.addresses.length === 1 || req.body.isDefault === true) {
+      setDefaultAddress(user, address._id);
+    }
+
+    await user.save();
+
+    res.status(201).json({
+      message: "Address added successfully",
+      address,
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to add address", error: error.message });
+  }
+};
+
+// Update an address
+exports.updateAddress = async (req, res) => {
+  try {
+    const { addressId } = req.params;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const address = user.addresses.id(addressId);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    address.set(pickAddressFields(req.body));
+
+    if (req.body.isDefault === true) {
+      setDefaultAddress(user, address._id);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      message: "Address updated successfully",
+      address,
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to update address", error: error.message });
+  }
+};
+
+// Set the default address
+exports.setDefault = async (req, res) => {
+  try {
+    const { addressId } = req.params;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.addresses.id(addressId)) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    setDefaultAddress(user, addressId);
+    await user.save();
+
+    res.status(200).json({
+      message: "Default address updated",
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Failed to set default address", error: error.message });
+  }
+};
+
+// Delete an address
+exports.deleteAddress = async (req, res) => {
+  try {
+    const { addressId } = req.params;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const address = user.addresses.id(addressId);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+
+    // Promote another address if the default was removed
+    if (wasDefault && user.addresses.length > 0) {
+      setDefaultAddress(user, user.addresses[0]._id);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      message: "Address deleted successfully",
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Failed to delete address", error: error.message });
+  }
+};
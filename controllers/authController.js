@@ -1,52 +1,26 @@
+const crypto = require("crypto");
+const validator = require("validator");
 const User = require("../models/User");
+const Product = require("../models/Product");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const nodemailer = require("nodemailer");
-const cloudinary = require("../config/cloudinary");
-
-// Configure email service
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
-
-// Generate OTP
-const generateOTP = () => {
-  return Math.floor(1000 + Math.random() * 9000).toString();
-};
-
-// Generate JWT Token
-const generateToken = (userId, role) => {
-  return jwt.sign({ userId, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
-};
+const imageService = require("../services/imageService");
+const uploadService = require("../services/uploadService");
+const otpConfig = require("../config/otp");
+const tokenService = require("../services/tokenService");
+const otpService = require("../services/otpService");
+const dataExportService = require("../services/dataExportService");
+const productArchiveService = require("../services/productArchiveService");
+const loginProtectionService = require("../services/loginProtectionService");
+const totpService = require("../services/totpService");
+const mailService = require("../services/mail");
 
 // Send OTP Email
-const sendOTPEmail = async (email, otp) => {
-  try {
-    await transporter.sendMail({
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: "Your OTP for Email Verification",
-      html: `
-        <div style="font-family: Arial, sans-serif; padding: 20px;">
-          <h2>Email Verification</h2>
-          <p>Your One-Time Password (OTP) is:</p>
-          <h3 style="color: #007bff; font-size: 24px; letter-spacing: 2px;">${otp}</h3>
-          <p>This OTP will expire in ${process.env.OTP_EXPIRE_MINUTES} minutes.</p>
-          <p>If you didn't request this OTP, please ignore this email.</p>
-        </div>
-      `,
-    });
-    return true;
-  } catch (error) {
-    console.error("Error sending OTP email:", error);
-    return false;
-  }
+const sendOTPEmail = (email, otp, purpose = "email_verification") => {
+  return mailService.trySendTemplate("otp", email, {
+    otp,
+    purpose,
+    expireMinutes: otpConfig.expireMinutes,
+  });
 };
 
 // Upload Image (without authentication - for registration)
@@ -57,32 +31,27 @@ exports.uploadImage = async (req, res) => {
     }
 
     try {
-      // Upload image to Cloudinary
-      const uploadResult = await new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            folder: "payplex/temp-uploads", // Temporary folder for registration images
-            resource_type: "auto",
-          },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          },
-        );
-
-        uploadStream.end(req.file.buffer);
+      // Validate, resize and store the image
+      const image = await imageService.storeImage(req.file.buffer, {
+        folder: "payplex/temp-uploads", // Temporary folder for registration images
       });
+      // Pending until a registration references it
+      await uploadService.registerUpload(image, { folder: "payplex/temp-uploads" });
 
       res.status(200).json({
         message: "Image uploaded successfully",
-        imageUrl: uploadResult.secure_url,
-        public_id: uploadResult.public_id,
+        imageUrl: image.url,
+        public_id: image.public_id,
+        image,
       });
     } catch (uploadError) {
+      if (uploadError instanceof imageService.ImageError) {
+        return imageService.sendImageError(res, uploadError);
+      }
       return res
         .status(500)
         .json({
-          message: "Image upload to Cloudinary failed",
+          message: "Image upload failed",
           error: uploadError.message,
         });
     }
@@ -102,6 +71,19 @@ exports.register = async (req, res) => {
       return res.status(400).json({ message: "All fields are required" });
     }
 
+    // Profile photo must be the image object returned by /upload-image
+    if (
+      profilePhoto &&
+      (typeof profilePhoto.url !== "string" ||
+        typeof profilePhoto.public_id !== "string")
+    ) {
+      return res.status(400).json({ message: "Invalid profile photo" });
+    }
+    if (profilePhoto) {
+      // ...and still a pending anonymous upload, not someone else's file
+      await uploadService.checkSubmittedImages([profilePhoto], { owner: null });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -112,12 +94,6 @@ exports.register = async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
-    // Generate OTP
-    const otp = generateOTP();
-    const otpExpiresAt = new Date(
-      Date.now() + parseInt(process.env.OTP_EXPIRE_MINUTES) * 60000,
-    );
-
     // Create user
     const user = new User({
       name,
@@ -126,14 +102,18 @@ exports.register = async (req, res) => {
       contactNumber,
       dob,
       password: hashedPassword,
-      profilePhoto,
-      otp: {
-        code: otp,
-        expiresAt: otpExpiresAt,
-      },
+      profilePhoto: profilePhoto || null,
     });
 
+    // Generate OTP
+    const otp = otpService.issueOTP(user, "email_verification");
+
     await user.save();
+    await uploadService.attachUploads([user.profilePhoto], {
+      kind: "User",
+      item: user._id,
+      owner: user._id,
+    });
 
     // Send OTP email
     const emailSent = await sendOTPEmail(email, otp);
@@ -148,6 +128,9 @@ exports.register = async (req, res) => {
       email: user.email,
     });
   } catch (error) {
+    if (error instanceof uploadService.UploadError) {
+      return res.status(error.status).json({ message: "Invalid profile photo" });
+    }
     res
       .status(500)
       .json({ message: "Registration failed", error: error.message });
@@ -172,21 +155,44 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: "Invalid email or password" });
     }
 
+    // Reject attempts while locked out or within the progressive delay
+    const blocked = loginProtectionService.checkLoginAllowed(user);
+    if (blocked) {
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(blocked.status).json({
+        message: blocked.message,
+        code: blocked.code,
+        retryAfter: blocked.retryAfter,
+      });
+    }
+
+    // Check password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      const locked = await loginProtectionService.recordFailedLogin(user);
+      if (locked) {
+        res.set("Retry-After", String(locked.retryAfter));
+        return res.status(locked.status).json({
+          message: locked.message,
+          code: locked.code,
+          retryAfter: locked.retryAfter,
+        });
+      }
+      return res.status(400).json({ message: "Invalid email or password" });
+    }
+
+    await loginProtectionService.resetFailedLogins(user);
+
     // Check if email is verified
     if (!user.emailVerified) {
-      // Send OTP for verification
-      const otp = generateOTP();
-      const otpExpiresAt = new Date(
-        Date.now() + parseInt(process.env.OTP_EXPIRE_MINUTES) * 60000,
-      );
-
-      user.otp = {
-        code: otp,
-        expiresAt: otpExpiresAt,
-      };
-      await user.save();
-
-      await sendOTPEmail(email, otp);
+      // Send OTP for verification unless one was sent too recently
+      try {
+        const otp = otpService.issueOTP(user, "email_verification");
+        await user.save();
+        await sendOTPEmail(email, otp);
+      } catch (otpError) {
+        if (!(otpError instanceof otpService.OTPError)) throw otpError;
+      }
 
       return res.status(403).json({
         message: "Email not verified. OTP sent to your email.",
@@ -195,23 +201,28 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(400).json({ message: "Invalid email or password" });
-    }
-
     // Check user status
     if (user.status === "inactive") {
       return res.status(403).json({ message: "Your account is inactive" });
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    // Second step required when two-factor authentication is enabled
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        requiresTwoFactor: true,
+        twoFactorToken: await tokenService.generateTwoFactorToken(user),
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await tokenService.issueTokens(user, req);
 
     res.status(200).json({
       message: "Login successful",
       token,
+      refreshToken,
+      twoFactorSetupRequired: totpService.requiresTwoFactor(user),
       user: {
         id: user._id,
         name: user.name,
@@ -241,31 +252,34 @@ exports.verifyOTP = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Check OTP
-    if (!user.otp || !user.otp.code) {
-      return res.status(400).json({ message: "No OTP found for this user" });
-    }
-
-    if (user.otp.code !== otp) {
-      return res.status(400).json({ message: "Invalid OTP" });
-    }
-
-    // Check OTP expiration
-    if (new Date() > user.otp.expiresAt) {
-      return res.status(400).json({ message: "OTP has expired" });
+    // Check OTP (failed attempts are counted on the user)
+    try {
+      await otpService.verifyOTP(user, "email_verification", otp);
+    } catch (otpError) {
+      if (!(otpError instanceof otpService.OTPError)) throw otpError;
+      return otpService.sendOTPError(res, otpError);
     }
 
     // Mark email as verified
     user.emailVerified = true;
-    user.otp = { code: null, expiresAt: null };
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    // Second step required when two-factor authentication is enabled
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: "Email verified. Two-factor authentication required",
+        requiresTwoFactor: true,
+        twoFactorToken: await tokenService.generateTwoFactorToken(user),
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await tokenService.issueTokens(user, req);
 
     res.status(200).json({
       message: "Email verified successfully",
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -295,16 +309,18 @@ exports.resendOTP = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Generate new OTP
-    const otp = generateOTP();
-    const otpExpiresAt = new Date(
-      Date.now() + parseInt(process.env.OTP_EXPIRE_MINUTES) * 60000,
-    );
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
 
-    user.otp = {
-      code: otp,
-      expiresAt: otpExpiresAt,
-    };
+    // Generate new OTP (throttled per email)
+    let otp;
+    try {
+      otp = otpService.issueOTP(user, "email_verification");
+    } catch (otpError) {
+      if (!(otpError instanceof otpService.OTPError)) throw otpError;
+      return otpService.sendOTPError(res, otpError);
+    }
     await user.save();
 
     // Send OTP email
@@ -325,7 +341,476 @@ exports.resendOTP = async (req, res) => {
   }
 };
 
-// Update Profile with Profile Photo Upload to Cloudinary
+// Refresh access token
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const result = await tokenService.rotateRefreshToken(refreshToken, req);
+    if (!result) {
+      return res
+        .status(401)
+        .json({ message: "Refresh token is invalid or expired" });
+    }
+
+    res.status(200).json({
+      message: "Token refreshed successfully",
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Token refresh failed", error: error.message });
+  }
+};
+
+// Logout - revoke refresh token
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    await tokenService.revokeRefreshToken(refreshToken);
+
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Logout failed", error: error.message });
+  }
+};
+
+// Logout from all devices
+exports.logoutAll = async (req, res) => {
+  try {
+    await tokenService.revokeAllSessions(req.user.userId);
+
+    res.status(200).json({ message: "Logged out from all devices" });
+  } catch (error) {
+    res.status(500).json({ message: "Logout failed", error: error.message });
+  }
+};
+
+// Forgot Password - send password reset OTP
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // Same response whether or not the account exists
+    const response = {
+      message: "If an account exists for this email, a password reset OTP has been sent.",
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || user.status === "inactive") {
+      return res.status(200).json(response);
+    }
+
+    // Generate reset OTP; throttling errors are not reported so the
+    // response doesn't reveal whether the account exists
+    let otp;
+    try {
+      otp = otpService.issueOTP(user, "password_reset");
+    } catch (otpError) {
+      if (!(otpError instanceof otpService.OTPError)) throw otpError;
+      return res.status(200).json(response);
+    }
+    await user.save();
+
+    // Send OTP email
+    const emailSent = await sendOTPEmail(email, otp, "password_reset");
+
+    if (!emailSent) {
+      return res.status(500).json({ message: "Failed to send OTP email" });
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Failed to process password reset", error: error.message });
+  }
+};
+
+// Reset Password using reset OTP
+exports.resetPassword = async (req, res) => {
+  try {
+    const { email, otp, newPassword } = req.body;
+
+    // Validation
+    if (!email || !otp || !newPassword) {
+      return res
+        .status(400)
+        .json({ message: "Email, OTP and new password are required" });
+    }
+
+    if (newPassword.length < 6) {
+      return res
+        .status(400)
+        .json({ message: "Password must be at least 6 characters" });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Invalid OTP", code: "OTP_INVALID" });
+    }
+
+    // Email verification codes cannot be used to reset the password
+    try {
+      await otpService.verifyOTP(user, "password_reset", otp);
+    } catch (otpError) {
+      if (!(otpError instanceof otpService.OTPError)) throw otpError;
+      return otpService.sendOTPError(res, otpError);
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+
+    // Receiving the code proves ownership of the email
+    user.emailVerified = true;
+    // A successful reset lifts any login lockout
+    user.loginSecurity = { failedAttempts: 0, lockedUntil: null };
+    await user.save();
+
+    // Log out all existing sessions
+    await tokenService.revokeAllSessions(user._id);
+
+    res.status(200).json({
+      message: "Password reset successfully. Please log in with your new password.",
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Password reset failed", error: error.message });
+  }
+};
+
+// Change Password (requires current password)
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res
+        .status(400)
+        .json({ message: "Current password and new password are required" });
+    }
+
+    if (newPassword.length < 6) {
+      return res
+        .status(400)
+        .json({ message: "Password must be at least 6 characters" });
+    }
+
+    const user = await User.findById(req.user.userId).select("+password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    // Log out all other sessions and issue new tokens for this one
+    await tokenService.revokeAllSessions(user._id);
+    const updatedUser = await User.findById(user._id);
+    const { token, refreshToken } = await tokenService.issueTokens(
+      updatedUser,
+      req,
+    );
+
+    res.status(200).json({
+      message: "Password changed successfully",
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Failed to change password", error: error.message });
+  }
+};
+
+// Change Email - send OTP to the new address
+exports.requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail || !password) {
+      return res
+        .status(400)
+        .json({ message: "New email and password are required" });
+    }
+
+    if (!validator.isEmail(newEmail)) {
+      return res.status(400).json({ message: "Please enter a valid email" });
+    }
+
+    const normalizedEmail = newEmail.trim().toLowerCase();
+
+    const user = await User.findById(req.user.userId).select("+password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: "Password is incorrect" });
+    }
+
+    if (normalizedEmail === user.email) {
+      return res
+        .status(400)
+        .json({ message: "New email must be different from the current one" });
+    }
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(400).json({ message: "Email is already registered" });
+    }
+
+    // Generate OTP for the new address
+    let otp;
+    try {
+      otp = otpService.issueOTP(user, "email_change");
+    } catch (otpError) {
+      if (!(otpError instanceof otpService.OTPError)) throw otpError;
+      return otpService.sendOTPError(res, otpError);
+    }
+    user.pendingEmail = normalizedEmail;
+    await user.save();
+
+    // Send OTP email
+    const emailSent = await sendOTPEmail(normalizedEmail, otp, "email_change");
+
+    if (!emailSent) {
+      return res.status(500).json({ message: "Failed to send OTP email" });
+    }
+
+    res.status(200).json({
+      message: "OTP sent to the new email address",
+      pendingEmail: normalizedEmail,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Failed to change email", error: error.message });
+  }
+};
+
+// Change Email - verify OTP and switch to the new address
+exports.verifyEmailChange = async (req, res) => {
+  try {
+    const { otp } = req.body;
+
+    if (!otp) {
+      return res.status(400).json({ message: "OTP is required" });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.pendingEmail) {
+      return res.status(400).json({ message: "No email change in progress" });
+    }
+
+    // Check OTP (failed attempts are counted on the user)
+    try {
+      await otpService.verifyOTP(user, "email_change", otp);
+    } catch (otpError) {
+      if (!(otpError instanceof otpService.OTPError)) throw otpError;
+      return otpService.sendOTPError(res, otpError);
+    }
+
+    // The address may have been registered since the OTP was sent
+    const existingUser = await User.findOne({ email: user.pendingEmail });
+    if (existingUser) {
+      user.pendingEmail = undefined;
+      await user.save();
+      return res.status(400).json({ message: "Email is already registered" });
+    }
+
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+    user.emailVerified = true;
+    await user.save();
+
+    res.status(200).json({
+      message: "Email changed successfully",
+      email: user.email,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Failed to change email", error: error.message });
+  }
+};
+
+// Delete Account - anonymise the user, keep their orders
+exports.deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({ message: "Password is required" });
+    }
+
+    const user = await User.findById(req.user.userId).select("+password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: "Password is incorrect" });
+    }
+
+    if (user.role === "admin") {
+      return res
+        .status(403)
+        .json({ message: "Admin accounts cannot be deleted" });
+    }
+
+    // Archive products they sell (removing them from every cart); they are
+    // purged once the restore window has passed
+    const products = await Product.find({ seller: user._id, deletedAt: null });
+    let archivedProducts = 0;
+    for (const product of products) {
+      if (await productArchiveService.archiveProduct(product, user._id)) {
+        archivedProducts++;
+      }
+    }
+
+    // Remove profile photo
+    await uploadService.deleteImages([user.profilePhoto], {
+      kind: "User",
+      item: user._id,
+    });
+
+    // Anonymise personal data (updateOne skips validators for the placeholders)
+    const unusablePassword = await bcrypt.hash(
+      crypto.randomBytes(32).toString("hex"),
+      10,
+    );
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          name: "Deleted User",
+          role: "buyer",
+          "sellerProfile.status": "none",
+          email: `deleted-${user._id}@deleted.invalid`,
+          address: "",
+          addresses: [],
+          contactNumber: "",
+          dob: new Date(0),
+          profilePhoto: null,
+          password: unusablePassword,
+          status: "inactive",
+          emailVerified: false,
+          cart: [],
+          twoFactor: { enabled: false, lastUsedStep: -1 },
+          deletedAt: new Date(),
+        },
+        $unset: { otp: "", otpThrottle: "", pendingEmail: "" },
+      },
+    );
+
+    await tokenService.revokeAllSessions(user._id);
+
+    res.status(200).json({
+      message: "Account deleted successfully",
+      archivedProducts,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Failed to delete account", error: error.message });
+  }
+};
+
+// Apply to become a seller
+exports.applyForSeller = async (req, res) => {
+  try {
+    const { storeName, description } = req.body;
+
+    if (!storeName) {
+      return res.status(400).json({ message: "Store name is required" });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.sellerProfile?.status === "pending") {
+      return res
+        .status(400)
+        .json({ message: "Your seller application is already pending review" });
+    }
+
+    user.sellerProfile = {
+      status: "pending",
+      storeName,
+      description: description || "",
+      appliedAt: new Date(),
+    };
+    await user.save();
+
+    res.status(200).json({
+      message: "Seller application submitted",
+      sellerProfile: user.sellerProfile,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Failed to submit seller application",
+      error: error.message,
+    });
+  }
+};
+
+// Export all personal data as a zip archive
+exports.exportData = async (req, res) => {
+  try {
+    const found = await dataExportService.sendUserExport(res, req.user.userId);
+
+    if (!found) {
+      return res.status(404).json({ message: "User not found" });
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      console.error("Data export error:", error);
+      return res.end();
+    }
+    res
+      .status(500)
+      .json({ message: "Failed to export data", error: error.message });
+  }
+};
+
+// Update Profile with Profile Photo Upload
 exports.updateProfile = async (req, res) => {
   try {
     const userId = req.user.userId;
@@ -344,34 +829,20 @@ exports.updateProfile = async (req, res) => {
     if (dob) user.dob = dob;
 
     // Handle profile photo upload
+    let previousPhoto = null;
     if (req.file) {
       try {
-        // Delete old profile photo if exists
-        if (user.profilePhoto && user.profilePhoto.public_id) {
-          await cloudinary.uploader.destroy(user.profilePhoto.public_id);
-        }
-
-        // Upload new profile photo to Cloudinary
-        const uploadResult = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            {
-              folder: "payplex/profile-photos",
-              resource_type: "auto",
-            },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            },
-          );
-
-          uploadStream.end(req.file.buffer);
+        // Upload new profile photo
+        const image = await imageService.storeImage(req.file.buffer, {
+          folder: "payplex/profile-photos",
         });
 
-        user.profilePhoto = {
-          public_id: uploadResult.public_id,
-          url: uploadResult.secure_url,
-        };
+        previousPhoto = user.profilePhoto ? user.profilePhoto.toObject() : null;
+        user.profilePhoto = image;
       } catch (uploadError) {
+        if (uploadError instanceof imageService.ImageError) {
+          return imageService.sendImageError(res, uploadError);
+        }
         return res
           .status(500)
           .json({ message: "File upload failed", error: uploadError.message });
@@ -380,6 +851,20 @@ exports.updateProfile = async (req, res) => {
 
     await user.save();
 
+    if (req.file) {
+      await uploadService.registerAttached(user.profilePhoto, {
+        owner: user._id,
+        folder: "payplex/profile-photos",
+        kind: "User",
+        item: user._id,
+      });
+      // Delete old profile photo once the new one is saved
+      await uploadService.deleteImages([previousPhoto], {
+        kind: "User",
+        item: user._id,
+      });
+    }
+
     res.status(200).json({
       message: "Profile updated successfully",
       user: {
@@ -423,6 +908,8 @@ exports.getProfile = async (req, res) => {
         role: user.role,
         status: user.status,
         emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor?.enabled || false,
+        sellerProfile: user.sellerProfile,
         createdAt: user.createdAt,
       },
     });
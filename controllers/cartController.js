@@ -1,11 +1,21 @@
 const User = require("../models/User");
 const Product = require("../models/Product");
 const Order = require("../models/Order");
+const mailService = require("../services/mail");
+const variantService = require("../services/variantService");
+const checkoutService = require("../services/checkoutService");
+const orderStatusService = require("../services/orderStatusService");
+const refundService = require("../services/refundService");
+
+// Whether a cart line is for the given product and variant
+const isSameLine = (item, productId, variantId) =>
+  item.productId.toString() === productId &&
+  String(item.variantId || "") === String(variantId || "");
 
 // Add to cart
 exports.addToCart = async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
     const userId = req.user.userId;
 
     // Validate inputs
@@ -31,30 +41,42 @@ exports.addToCart = async (req, res) => {
 
     // Check if product exists and has sufficient quantity
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || product.isArchived()) {
       return res.status(404).json({
         message: "Product not found",
       });
     }
 
-    if (product.quantity < quantity) {
+    // Products with variants are stocked per variant
+    const { variant, error: variantError } = variantService.resolveVariant(
+      product,
+      variantId,
+    );
+    if (variantError) {
+      return res.status(400).json({
+        message: variantError,
+      });
+    }
+    const available = variant ? variant.quantity : product.quantity;
+
+    if (available < quantity) {
       return res.status(400).json({
-        message: `Only ${product.quantity} items available in stock`,
+        message: `Only ${available} items available in stock`,
       });
     }
 
-    // Check if product already in cart
-    const existingCartItem = user.cart.find(
-      (item) => item.productId.toString() === productId,
+    // Check if product (and variant) already in cart
+    const existingCartItem = user.cart.find((item) =>
+      isSameLine(item, productId, variant?._id),
     );
 
     if (existingCartItem) {
       // Update quantity if product already in cart
       const newQuantity = existingCartItem.quantity + quantity;
 
-      if (newQuantity > product.quantity) {
+      if (newQuantity > available) {
         return res.status(400).json({
-          message: `Only ${product.quantity} items available in stock`,
+          message: `Only ${available} items available in stock`,
         });
       }
 
@@ -63,6 +85,7 @@ exports.addToCart = async (req, res) => {
       // Add new item to cart
       user.cart.push({
         productId,
+        variantId: variant ? variant._id : null,
         quantity,
       });
     }
@@ -98,9 +121,12 @@ exports.getCart = async (req, res) => {
       });
     }
 
-    // Calculate total price
+    // Calculate total price (variant price overrides the product price)
     const total = user.cart.reduce((sum, item) => {
-      return sum + item.productId.price * item.quantity;
+      const variant = item.variantId
+        ? item.productId.variants.id(item.variantId)
+        : null;
+      return sum + item.productId.getUnitPrice(variant) * item.quantity;
     }, 0);
 
     res.status(200).json({
@@ -121,6 +147,7 @@ exports.getCart = async (req, res) => {
 exports.removeFromCart = async (req, res) => {
   try {
     const { productId } = req.params;
+    const { variantId } = req.query;
     const userId = req.user.userId;
 
     const user = await User.findById(userId);
@@ -131,9 +158,11 @@ exports.removeFromCart = async (req, res) => {
       });
     }
 
-    // Remove product from cart
-    user.cart = user.cart.filter(
-      (item) => item.productId.toString() !== productId,
+    // Remove product from cart (only the given variant if one is passed)
+    user.cart = user.cart.filter((item) =>
+      variantId
+        ? !isSameLine(item, productId, variantId)
+        : item.productId.toString() !== productId,
     );
 
     await user.save();
@@ -157,7 +186,7 @@ exports.removeFromCart = async (req, res) => {
 exports.updateCartQuantity = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { quantity } = req.body;
+    const { quantity, variantId } = req.body;
     const userId = req.user.userId;
 
     if (!quantity || quantity <= 0 || !Number.isInteger(quantity)) {
@@ -175,20 +204,31 @@ exports.updateCartQuantity = async (req, res) => {
     }
 
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || product.isArchived()) {
       return res.status(404).json({
         message: "Product not found",
       });
     }
 
-    if (quantity > product.quantity) {
+    const { variant, error: variantError } = variantService.resolveVariant(
+      product,
+      variantId,
+    );
+    if (variantError) {
+      return res.status(400).json({
+        message: variantError,
+      });
+    }
+    const available = variant ? variant.quantity : product.quantity;
+
+    if (quantity > available) {
       return res.status(400).json({
-        message: `Only ${product.quantity} items available in stock`,
+        message: `Only ${available} items available in stock`,
       });
     }
 
-    const cartItem = user.cart.find(
-      (item) => item.productId.toString() === productId,
+    const cartItem = user.cart.find((item) =>
+      isSameLine(item, productId, variant?._id),
     );
 
     if (!cartItem) {
@@ -247,82 +287,17 @@ exports.clearCart = async (req, res) => {
 exports.checkout = async (req, res) => {
   try {
     const userId = req.user.userId;
+    const { addressId } = req.body || {};
 
-    // Get user and their cart
-    const user = await User.findById(userId).populate("cart.productId");
-
-    if (!user) {
-      return res.status(404).json({
-        message: "User not found",
-      });
-    }
-
-    if (user.cart.length === 0) {
-      return res.status(400).json({
-        message: "Cart is empty",
-      });
-    }
-
-    // Validate stock for all items
-    for (const cartItem of user.cart) {
-      const product = await Product.findById(cartItem.productId._id);
-      if (!product) {
-        return res.status(404).json({
-          message: `Product ${cartItem.productId.productName} not found`,
-        });
-      }
-      if (product.quantity < cartItem.quantity) {
-        return res.status(400).json({
-          message: `Insufficient stock for ${product.productName}. Only ${product.quantity} available.`,
-        });
-      }
-    }
-
-    // Create order items array
-    const orderItems = user.cart.map((cartItem) => ({
-      productId: cartItem.productId._id,
-      productName: cartItem.productId.productName,
-      price: cartItem.productId.price,
-      quantity: cartItem.quantity,
-      subtotal: cartItem.productId.price * cartItem.quantity,
-    }));
-
-    // Calculate totals
-    const subtotal = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
-    const tax = Math.round(subtotal * 0.1 * 100) / 100; // 10% tax
-    const total = Math.round((subtotal + tax) * 100) / 100;
-
-    // Get next order number
-    const orderCount = await Order.countDocuments();
-    const orderId = `ORD-${String(orderCount + 1).padStart(3, "0")}`;
-
-    // Create order
-    const order = new Order({
-      userId,
-      orderId,
-      items: orderItems,
-      subtotal: Math.round(subtotal * 100) / 100,
-      tax,
-      total,
-      shippingAddress: user.address,
-      status: "pending",
-      paymentStatus: "pending",
+    const { order, user } = await checkoutService.placeOrder(userId, {
+      addressId,
     });
 
-    await order.save();
-
-    // Update product quantities (reduce stock)
-    for (const cartItem of user.cart) {
-      await Product.findByIdAndUpdate(
-        cartItem.productId._id,
-        { $inc: { quantity: -cartItem.quantity } },
-        { new: true },
-      );
-    }
-
-    // Clear user's cart
-    user.cart = [];
-    await user.save();
+    // Send order confirmation (failures are logged, not returned)
+    await mailService.trySendTemplate("orderConfirmation", user.email, {
+      name: user.name,
+      order,
+    });
 
     res.status(201).json({
       message: "Order placed successfully",
@@ -330,6 +305,12 @@ exports.checkout = async (req, res) => {
       orderId: order._id,
     });
   } catch (error) {
+    if (error instanceof checkoutService.CheckoutError) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.lines.length > 0 && { lines: error.lines }),
+      });
+    }
     res.status(500).json({
       message: "Error placing order",
       error: error.message,
@@ -365,7 +346,9 @@ exports.getOrderById = async (req, res) => {
     const { orderId } = req.params;
     const userId = req.user.userId;
 
-    const order = await Order.findById(orderId).populate("items.productId");
+    const order = await Order.findById(orderId)
+      .populate("items.productId")
+      .populate("statusHistory.changedBy", "name");
 
     if (!order) {
       return res.status(404).json({
@@ -391,3 +374,59 @@ exports.getOrderById = async (req, res) => {
     });
   }
 };
+
+// Cancel own order while it is pending or confirmed (stock restored, paid orders refunded)
+exports.cancelOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason = "" } = req.body || {};
+    const userId = req.user.userId;
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        message: "Order not found",
+      });
+    }
+
+    // Check if order belongs to the user
+    if (order.userId.toString() !== userId) {
+      return res.status(403).json({
+        message: "Unauthorized to access this order",
+      });
+    }
+
+    if (!["pending", "confirmed"].includes(order.status)) {
+      return res.status(400).json({
+        message: "Only pending or confirmed orders can be cancelled",
+      });
+    }
+
+    const cancelledOrder = await orderStatusService.changeStatus(order, {
+      status: "cancelled",
+      note: String(reason).trim(),
+      actor: req.user,
+    });
+
+    await orderStatusService.notifyStatusChange(cancelledOrder, reason);
+
+    res.status(200).json({
+      message: "Order cancelled successfully",
+      order: cancelledOrder,
+    });
+  } catch (error) {
+    if (
+      error instanceof orderStatusService.OrderStatusError ||
+      error instanceof refundService.RefundError
+    ) {
+      return res.status(error.status).json({
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      message: "Error cancelling order",
+      error: error.message,
+    });
+  }
+};
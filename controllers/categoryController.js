@@ -0,0 +1,241 @@
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const categoryService = require("../services/categoryService");
+const slugify = require("../utils/slugify");
+
+// Get category tree (active only unless includeInactive=true)
+exports.getCategoryTree = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === "true" ? {} : { isActive: true };
+    const categories = await Category.find(filter).lean();
+
+    res.status(200).json({
+      message: "Category tree retrieved successfully",
+      categories: categoryService.buildTree(categories),
+    });
+  } catch (error) {
+    console.error("Fetch category tree error:", error);
+    res.status(500).json({
+      message: "Failed to fetch category tree",
+      error: error.message,
+    });
+  }
+};
+
+// Get flat category list
+exports.getCategories = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === "true" ? {} : { isActive: true };
+    if (req.query.parent) {
+      filter.parent = req.query.parent === "root" ? null : req.query.parent;
+    }
+
+    const categories = await Category.find(filter).sort({ sortOrder: 1, name: 1 });
+
+    res.status(200).json({
+      message: "Categories retrieved successfully",
+      categories,
+    });
+  } catch (error) {
+    console.error("Fetch categories error:", error);
+    res.status(500).json({
+      message: "Failed to fetch categories",
+      error: error.message,
+    });
+  }
+};
+
+// Create category
+exports.createCategory = async (req, res) => {
+  try {
+    const { name, slug, description, parent, sortOrder, isActive } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: "Category name is required" });
+    }
+
+    const categorySlug = slugify(slug || name);
+    if (!categorySlug) {
+      return res.status(400).json({ message: "Invalid category slug" });
+    }
+
+    if (await Category.exists({ slug: categorySlug })) {
+      return res
+        .status(400)
+        .json({ message: `Category slug "${categorySlug}" is already in use` });
+    }
+
+    let ancestors = [];
+    if (parent) {
+      const parentCategory = mongoose.isValidObjectId(parent)
+        ? await Category.findById(parent)
+        : null;
+      if (!parentCategory) {
+        return res.status(400).json({ message: "Parent category not found" });
+      }
+      ancestors = [...parentCategory.ancestors, parentCategory._id];
+    }
+
+    const category = new Category({
+      name,
+      slug: categorySlug,
+      description,
+      parent: parent || null,
+      ancestors,
+      sortOrder,
+      isActive,
+    });
+
+    await category.save();
+
+    res.status(201).json({
+      message: "Category created successfully",
+      category,
+    });
+  } catch (error) {
+    console.error("Category creation error:", error);
+    res.status(500).json({
+      message: "Failed to create category",
+      error: error.message,
+    });
+  }
+};
+
+// Update category (rename, move, reorder, activate/deactivate)
+exports.updateCategory = async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+    const { name, slug, description, parent, sortOrder, isActive } = req.body;
+
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const oldSlug = category.slug;
+
+    if (name) category.name = name;
+    if (description !== undefined) category.description = description;
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+    if (isActive !== undefined) category.isActive = isActive;
+
+    if (slug) {
+      const newSlug = slugify(slug);
+      if (
+        newSlug !== oldSlug &&
+        (await Category.exists({ slug: newSlug, _id: { $ne: category._id } }))
+      ) {
+        return res
+          .status(400)
+          .json({ message: `Category slug "${newSlug}" is already in use` });
+      }
+      category.slug = newSlug;
+    }
+
+    // Move to a new parent
+    const parentChanged =
+      parent !== undefined &&
+      String(parent || "") !== String(category.parent || "");
+
+    if (parentChanged) {
+      if (parent) {
+        const parentCategory = mongoose.isValidObjectId(parent)
+          ? await Category.findById(parent)
+          : null;
+        if (!parentCategory) {
+          return res.status(400).json({ message: "Parent category not found" });
+        }
+
+        // A category can't be moved under itself or its own subcategory
+        if (
+          parentCategory._id.equals(category._id) ||
+          parentCategory.ancestors.some((id) => id.equals(category._id))
+        ) {
+          return res.status(400).json({
+            message: "A category cannot be moved under itself or its subcategories",
+          });
+        }
+
+        category.parent = parentCategory._id;
+        category.ancestors = [...parentCategory.ancestors, parentCategory._id];
+      } else {
+        category.parent = null;
+        category.ancestors = [];
+      }
+    }
+
+    await category.save();
+
+    // Rewrite the ancestor chain of every subcategory after a move
+    if (parentChanged) {
+      const descendants = await Category.find({ ancestors: category._id });
+      for (const descendant of descendants) {
+        const index = descendant.ancestors.findIndex((id) =>
+          id.equals(category._id),
+        );
+        descendant.ancestors = [
+          ...category.ancestors,
+          category._id,
+          ...descendant.ancestors.slice(index + 1),
+        ];
+        await descendant.save();
+      }
+    }
+
+    // Products keep the slug for display and facets
+    if (category.slug !== oldSlug) {
+      await Product.updateMany(
+        { categoryId: category._id },
+        { category: category.slug },
+      );
+    }
+
+    res.status(200).json({
+      message: "Category updated successfully",
+      category,
+    });
+  } catch (error) {
+    console.error("Category update error:", error);
+    res.status(500).json({
+      message: "Failed to update category",
+      error: error.message,
+    });
+  }
+};
+
+// Delete category (only when unused - deactivate it otherwise)
+exports.deleteCategory = async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(400).json({
+        message: "Category has subcategories. Move or delete them first.",
+      });
+    }
+
+    if (await Product.exists({ categoryId: category._id })) {
+      return res.status(400).json({
+        message: "Category has products. Deactivate it instead.",
+      });
+    }
+
+    await Category.findByIdAndDelete(categoryId);
+
+    res.status(200).json({
+      message: "Category deleted successfully",
+    });
+  } catch (error) {
+    console.error("Category deletion error:", error);
+    res.status(500).json({
+      message: "Failed to delete category",
+      error: error.message,
+    });
+  }
+};
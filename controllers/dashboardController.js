@@ -1,6 +1,11 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const tokenService = require('../services/tokenService');
+const dataExportService = require('../services/dataExportService');
+const { hasPermission, PERMISSIONS, ROLES } = require('../config/permissions');
+const escapeRegex = require('../utils/escapeRegex');
 
 // Get dashboard stats based on user role
 exports.getDashboardStats = async (req, res) => {
@@ -16,8 +21,8 @@ exports.getDashboardStats = async (req, res) => {
 
     let stats = {};
 
-    // If user is a regular user
-    if (user.role === 'user') {
+    // Buyers, sellers and support staff
+    if (!hasPermission(user.role, PERMISSIONS.DASHBOARD_ADMIN)) {
       // Get current cart count
       const cartCount = user.cart.length;
 
@@ -25,25 +30,25 @@ exports.getDashboardStats = async (req, res) => {
       const totalOrders = await Order.countDocuments({ userId });
 
       // Get count of products added by this user (seller)
-      const addedProductsCount = await Product.countDocuments({ seller: userId });
+      const addedProductsCount = await Product.countDocuments({ seller: userId, deletedAt: null });
 
       stats = {
-        role: 'user',
+        role: user.role,
         cartProducts: cartCount,
         totalOrders: totalOrders,
         addedProducts: addedProductsCount,
       };
     } 
-    // If user is an admin
-    else if (user.role === 'admin') {
+    // Admins
+    else {
       // Get total products count
-      const totalProducts = await Product.countDocuments();
+      const totalProducts = await Product.countDocuments({ deletedAt: null });
 
       // Get total orders count
       const totalOrders = await Order.countDocuments();
 
       // Get total users count
-      const totalUsers = await User.countDocuments({ role: 'user' });
+      const totalUsers = await User.countDocuments({ role: { $ne: 'admin' } });
 
       // Calculate total revenue from all orders
       const revenueData = await Order.aggregate([
@@ -79,19 +84,9 @@ exports.getDashboardStats = async (req, res) => {
   }
 };
 
-// Get recent orders (admin only) - 10 most recent
+// Get recent orders - 10 most recent
 exports.getRecentOrders = async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const user = await User.findById(userId);
-
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin only.',
-      });
-    }
-
     const orders = await Order.find()
       .populate('userId', 'name email contactNumber')
       .sort({ createdAt: -1 })
@@ -110,58 +105,248 @@ exports.getRecentOrders = async (req, res) => {
   }
 };
 
-// Get all users (admin only)
+// Sort fields accepted by getAllUsers
+const USER_SORT_FIELDS = {
+  name: 'name',
+  email: 'email',
+  createdAt: 'createdAt',
+  status: 'status',
+  productCount: 'addedProductsCount',
+};
+
+// The only fields returned in user listings (aggregation ignores select: false,
+// so new sensitive fields must never be listed by default)
+const LISTED_USER_FIELDS = {
+  name: 1,
+  email: 1,
+  contactNumber: 1,
+  address: 1,
+  profilePhoto: 1,
+  role: 1,
+  'sellerProfile.status': 1,
+  'sellerProfile.storeName': 1,
+  status: 1,
+  emailVerified: 1,
+  'twoFactor.enabled': 1,
+  createdAt: 1,
+  updatedAt: 1,
+  addedProductsCount: 1,
+};
+
+// Get users with pagination, search, filters and sorting
 exports.getAllUsers = async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const user = await User.findById(userId);
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      status,
+      emailVerified,
+      role,
+      joinedFrom,
+      joinedTo,
+      sortBy = 'createdAt',
+      order = 'desc',
+    } = req.query;
 
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+    // Build filter (only admins can list admins)
+    const filter = { role: { $ne: 'admin' } };
+    if (role) {
+      filter.role = hasPermission(req.user.role, PERMISSIONS.USERS_MANAGE)
+        ? String(role)
+        : { $eq: String(role), $ne: 'admin' };
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (emailVerified === 'true' || emailVerified === 'false') {
+      filter.emailVerified = emailVerified === 'true';
+    }
+
+    if (joinedFrom || joinedTo) {
+      filter.createdAt = {};
+      if (joinedFrom) filter.createdAt.$gte = new Date(joinedFrom);
+      if (joinedTo) filter.createdAt.$lte = new Date(joinedTo);
+      if (Object.values(filter.createdAt).some((date) => isNaN(date))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid joinedFrom or joinedTo date',
+        });
+      }
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { name: pattern },
+        { email: pattern },
+        { contactNumber: pattern },
+      ];
+    }
+
+    const sortField = USER_SORT_FIELDS[sortBy] || 'createdAt';
+    const sort = { [sortField]: order === 'asc' ? 1 : -1, _id: 1 };
+
+    // Count each user's products in the same query
+    const productCountStages = [
+      {
+        $lookup: {
+          from: Product.collection.name,
+          localField: '_id',
+          foreignField: 'seller',
+          // Archived products don't count
+          pipeline: [{ $match: { deletedAt: null } }, { $project: { _id: 1 } }],
+          as: 'products',
+        },
+      },
+      { $addFields: { addedProductsCount: { $size: '$products' } } },
+      { $project: LISTED_USER_FIELDS },
+    ];
+
+    // Sorting by product count needs the counts for every match, otherwise
+    // only the requested page is looked up
+    const pageStages = [{ $skip: (pageNumber - 1) * pageSize }, { $limit: pageSize }];
+    const dataStages =
+      sortField === 'addedProductsCount'
+        ? [...productCountStages, { $sort: sort }, ...pageStages]
+        : [{ $sort: sort }, ...pageStages, ...productCountStages];
+
+    const [result] = await User.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          data: dataStages,
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message,
+    });
+  }
+};
+
+// Change a user's role
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    // The legacy "user" role can't be assigned
+    if (!ROLES.includes(role) || role === 'user') {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied. Admin only.',
+        message: `Invalid role. Must be one of: ${ROLES.filter((r) => r !== 'user').join(', ')}.`,
       });
     }
 
-  const users = await User.find({ role: 'user' }).select('-password');
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role',
+      });
+    }
+
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findOne({ _id: userId, deletedAt: null })
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
 
-    // Get product count for each user
-    const usersWithProductCount = await Promise.all(
-      users.map(async (user) => {
-        const productCount = await Product.countDocuments({ seller: user._id });
-        return {
-          ...user.toObject(),
-          addedProductsCount: productCount,
-        };
-      })
-    );
+    user.role = role;
+    if (role === 'seller' && user.sellerProfile?.status !== 'approved') {
+      user.sellerProfile.status = 'approved';
+      user.sellerProfile.reviewedAt = new Date();
+      user.sellerProfile.reviewedBy = req.user.userId;
+    }
+    await user.save();
 
     res.status(200).json({
       success: true,
-      data: usersWithProductCount,
+      message: 'User role updated successfully',
+      data: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        sellerProfile: user.sellerProfile,
+      },
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error fetching users',
+      message: 'Error updating user role',
       error: error.message,
     });
   }
 };
 
-// Update user status (admin only)
-exports.updateUserStatus = async (req, res) => {
+// Force a user to verify their email again
+exports.forceReverification = async (req, res) => {
   try {
-    const adminId = req.user.userId;
-    const admin = await User.findById(adminId);
+    const { userId } = req.params;
+
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findOneAndUpdate(
+        { _id: userId, deletedAt: null },
+        { emailVerified: false },
+        { new: true }
+      ).select('name email emailVerified status')
+      : null;
 
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: 'Access denied. Admin only.',
+        message: 'User not found',
       });
     }
 
+    // Log them out so the next login goes through verification
+    await tokenService.revokeAllSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User must verify their email on next login',
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error forcing re-verification',
+      error: error.message,
+    });
+  }
+};
+
+// Update user status
+exports.updateUserStatus = async (req, res) => {
+  try {
     const { userId, status } = req.body;
 
     if (!['active', 'inactive'].includes(status)) {
@@ -171,11 +356,14 @@ exports.updateUserStatus = async (req, res) => {
       });
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { status },
-      { new: true }
-    ).select('name email contactNumber profilePhoto status');
+    // Deleted accounts cannot be reactivated
+    const updatedUser = mongoose.isValidObjectId(userId)
+      ? await User.findOneAndUpdate(
+        { _id: userId, deletedAt: null },
+        { status },
+        { new: true }
+      ).select('name email contactNumber profilePhoto status')
+      : null;
 
     if (!updatedUser) {
       return res.status(404).json({
@@ -184,6 +372,11 @@ exports.updateUserStatus = async (req, res) => {
       });
     }
 
+    // Deactivated users are logged out immediately
+    if (status === 'inactive') {
+      await tokenService.revokeAllSessions(updatedUser._id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'User status updated successfully',
@@ -197,3 +390,112 @@ exports.updateUserStatus = async (req, res) => {
     });
   }
 };
+
+// Export a user's personal data
+exports.exportUserData = async (req, res) => {
+  try {
+    const found = await dataExportService.sendUserExport(res, req.params.userId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Data export error:', error);
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting user data',
+      error: error.message,
+    });
+  }
+};
+
+// Get pending seller applications
+exports.getSellerApplications = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const applicants = await User.find({ 'sellerProfile.status': status })
+      .select('name email contactNumber profilePhoto role sellerProfile')
+      .sort({ 'sellerProfile.appliedAt': 1 });
+
+    res.status(200).json({
+      success: true,
+      data: applicants,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching seller applications',
+      error: error.message,
+    });
+  }
+};
+
+// Approve or reject a seller application
+exports.reviewSellerApplication = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { action, reason } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action. Must be approve or reject.',
+      });
+    }
+
+    const applicant = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+
+    if (!applicant) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (applicant.sellerProfile?.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending seller application for this user',
+      });
+    }
+
+    applicant.sellerProfile.reviewedAt = new Date();
+    applicant.sellerProfile.reviewedBy = req.user.userId;
+
+    if (action === 'approve') {
+      applicant.sellerProfile.status = 'approved';
+      applicant.sellerProfile.rejectionReason = undefined;
+      applicant.role = 'seller';
+    } else {
+      applicant.sellerProfile.status = 'rejected';
+      applicant.sellerProfile.rejectionReason = reason || '';
+    }
+
+    await applicant.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Seller application ${action === 'approve' ? 'approved' : 'rejected'}`,
+      data: {
+        _id: applicant._id,
+        name: applicant.name,
+        email: applicant.email,
+        role: applicant.role,
+        sellerProfile: applicant.sellerProfile,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing seller application',
+      error: error.message,
+    });
+  }
+};
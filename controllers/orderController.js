@@ -0,0 +1,150 @@
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const { hasPermission, PERMISSIONS } = require("../config/permissions");
+const orderStatusService = require("../services/orderStatusService");
+const refundService = require("../services/refundService");
+
+// Statuses in which a seller needs the address to ship
+const SHIPPING_STATUSES = ["confirmed", "shipped"];
+
+// What a seller sees of an order: only lines of their own products, no
+// totals, payment or refund data, and the shipping address only while the
+// order is to be shipped
+const toSellerView = (order, sellerProductIds) => {
+  const ownIds = new Set(sellerProductIds.map(String));
+  const {
+    subtotal,
+    tax,
+    total,
+    payment,
+    refunds,
+    lastReturnRequestedAt,
+    shippingAddress,
+    shippingAddressDetails,
+    ...rest
+  } = order.toObject();
+
+  const shipping = SHIPPING_STATUSES.includes(order.status);
+  return {
+    ...rest,
+    items: rest.items.filter((item) => ownIds.has(String(item.productId))),
+    shippingAddress: shipping ? shippingAddress : null,
+    shippingAddressDetails: shipping ? shippingAddressDetails : null,
+  };
+};
+
+// List orders to fulfil: every order for admins, orders of own products for sellers
+exports.getFulfilmentOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const filter = {};
+    const isAdmin = hasPermission(req.user.role, PERMISSIONS.ORDERS_MANAGE_ANY);
+    let productIds = [];
+    if (!isAdmin) {
+      productIds = await Product.distinct("_id", {
+        seller: req.user.userId,
+      });
+      filter["items.productId"] = { $in: productIds };
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    const total = await Order.countDocuments(filter);
+
+    // Sellers only get the buyer's name
+    const orders = await Order.find(filter)
+      .populate("userId", isAdmin ? "name email contactNumber" : "name")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.status(200).json({
+      message: "Orders fetched successfully",
+      orders: orders.map((order) => ({
+        ...(isAdmin ? order.toObject() : toSellerView(order, productIds)),
+        nextStatuses: orderStatusService.ORDER_TRANSITIONS[order.status] || [],
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Fetch fulfilment orders error:", error);
+    res.status(500).json({
+      message: "Error fetching orders",
+      error: error.message,
+    });
+  }
+};
+
+// Move an order to its next status (sellers only for orders of their own products)
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { status, note = "" } = req.body || {};
+
+    if (!status) {
+      return res.status(400).json({
+        message: "Status is required",
+      });
+    }
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        message: "Order not found",
+      });
+    }
+
+    const isAdmin = hasPermission(req.user.role, PERMISSIONS.ORDERS_MANAGE_ANY);
+    if (
+      !isAdmin &&
+      !(await orderStatusService.isSellerOrder(order, req.user.userId))
+    ) {
+      return res.status(403).json({
+        message: "You are not authorized to update this order",
+      });
+    }
+
+    const updatedOrder = await orderStatusService.changeStatus(order, {
+      status,
+      note: String(note).trim(),
+      actor: req.user,
+    });
+
+    // Let the buyer know (failures are logged, not returned)
+    await orderStatusService.notifyStatusChange(updatedOrder, note);
+
+    const productIds = isAdmin
+      ? []
+      : await Product.distinct("_id", { seller: req.user.userId });
+
+    res.status(200).json({
+      message: "Order status updated successfully",
+      order: isAdmin ? updatedOrder : toSellerView(updatedOrder, productIds),
+    });
+  } catch (error) {
+    if (
+      error instanceof orderStatusService.OrderStatusError ||
+      error instanceof refundService.RefundError
+    ) {
+      return res.status(error.status).json({
+        message: error.message,
+      });
+    }
+    console.error("Order status update error:", error);
+    res.status(500).json({
+      message: "Error updating order status",
+      error: error.message,
+    });
+  }
+};
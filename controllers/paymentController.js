@@ -0,0 +1,147 @@
+const Order = require("../models/Order");
+const paymentConfig = require("../config/payments");
+const paymentService = require("../services/paymentService");
+const refundService = require("../services/refundService");
+
+const isPaymentError = (error) =>
+  error instanceof paymentService.PaymentError ||
+  error instanceof refundService.RefundError;
+
+// Find an order of the current user. Sends the error response and returns
+// null otherwise.
+const findOwnOrder = async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    res.status(404).json({ message: "Order not found" });
+    return null;
+  }
+
+  if (order.userId.toString() !== req.user.userId) {
+    res.status(403).json({ message: "Unauthorized to access this order" });
+    return null;
+  }
+
+  return order;
+};
+
+// Start paying for own pending order
+exports.createPaymentIntent = async (req, res) => {
+  try {
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    const intent = await paymentService.createIntentForOrder(order);
+
+    res.status(201).json({
+      message: "Payment started successfully",
+      payment: {
+        provider: order.payment.provider,
+        intentId: intent.id,
+        clientSecret: intent.clientSecret,
+        status: intent.status,
+        amount: order.payment.amount,
+        currency: order.payment.currency,
+      },
+    });
+  } catch (error) {
+    if (isPaymentError(error)) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Create payment intent error:", error);
+    res.status(500).json({
+      message: "Failed to start payment",
+      error: error.message,
+    });
+  }
+};
+
+// Capture an authorised payment (admin, manual capture)
+exports.capturePayment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        message: "Order not found",
+      });
+    }
+
+    const updatedOrder = await paymentService.capturePayment(order);
+
+    res.status(200).json({
+      message: "Payment captured successfully",
+      order: updatedOrder,
+    });
+  } catch (error) {
+    if (isPaymentError(error)) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Capture payment error:", error);
+    res.status(500).json({
+      message: "Failed to capture payment",
+      error: error.message,
+    });
+  }
+};
+
+// Receive a payment provider webhook. The body is the raw request (see
+// server.js) since signatures are computed over the exact bytes sent.
+exports.handleWebhook = async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+
+    const result = await paymentService.handleWebhook(
+      req.params.provider,
+      rawBody,
+      req.headers,
+    );
+
+    res.status(200).json({
+      received: true,
+      duplicate: result.duplicate,
+    });
+  } catch (error) {
+    if (error instanceof paymentService.PaymentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    // A 5xx makes the provider retry the event
+    console.error("Payment webhook error:", error);
+    res.status(500).json({
+      message: "Failed to process webhook",
+      error: error.message,
+    });
+  }
+};
+
+// Complete or fail own order's mock payment (development only)
+exports.simulateMockPayment = async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === "production" || paymentConfig.provider !== "mock") {
+      return res.status(404).json({
+        message: "Route not found",
+      });
+    }
+
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    const { outcome } = req.body || {};
+    const result = await paymentService.simulateMockPayment(order, outcome);
+
+    res.status(200).json({
+      message: "Mock payment event processed",
+      status: result.status,
+      order: await Order.findById(order._id),
+    });
+  } catch (error) {
+    if (isPaymentError(error)) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Mock payment error:", error);
+    res.status(500).json({
+      message: "Failed to simulate payment",
+      error: error.message,
+    });
+  }
+};
@@ -1,5 +1,27 @@
+const path = require("path");
+const mongoose = require("mongoose");
 const Product = require("../models/Product");
-const cloudinary = require("../config/cloudinary");
+const ImportJob = require("../models/ImportJob");
+const imageService = require("../services/imageService");
+const uploadService = require("../services/uploadService");
+const productArchiveService = require("../services/productArchiveService");
+const { hasPermission, PERMISSIONS } = require("../config/permissions");
+const catalogSearchService = require("../services/catalogSearchService");
+const categoryService = require("../services/categoryService");
+const variantService = require("../services/variantService");
+const productImportService = require("../services/productImportService");
+
+// Image objects as returned by the upload endpoint
+const isValidImages = (images) =>
+  Array.isArray(images) &&
+  images.every(
+    (img) =>
+      img &&
+      img.url &&
+      typeof img.url === "string" &&
+      img.public_id &&
+      typeof img.public_id === "string",
+  );
 
 // Upload product image(s)
 exports.uploadProductImages = async (req, res) => {
@@ -11,26 +33,18 @@ exports.uploadProductImages = async (req, res) => {
     const uploadedImages = [];
 
     try {
-      // Upload each image to Cloudinary
+      // Validate, resize and store each image
       for (const file of req.files) {
-        const uploadResult = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            {
-              folder: "payplex/products",
-              resource_type: "auto",
-            },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-
-          uploadStream.end(file.buffer);
-        });
+        uploadedImages.push(
+          await imageService.storeImage(file.buffer, { folder: "payplex/products" }),
+        );
+      }
 
-        uploadedImages.push({
-          url: uploadResult.secure_url,
-          public_id: uploadResult.public_id,
+      // Pending until a product references them
+      for (const image of uploadedImages) {
+        await uploadService.registerUpload(image, {
+          owner: req.user.userId,
+          folder: "payplex/products",
         });
       }
 
@@ -39,8 +53,15 @@ exports.uploadProductImages = async (req, res) => {
         images: uploadedImages,
       });
     } catch (uploadError) {
+      // Remove images already stored for this request
+      for (const image of uploadedImages) {
+        await imageService.removeImage(image);
+      }
+      if (uploadError instanceof imageService.ImageError) {
+        return imageService.sendImageError(res, uploadError);
+      }
       return res.status(500).json({
-        message: "Image upload to Cloudinary failed",
+        message: "Image upload failed",
         error: uploadError.message,
       });
     }
@@ -54,28 +75,40 @@ exports.uploadProductImages = async (req, res) => {
 // Create product
 exports.createProduct = async (req, res) => {
   try {
-    const { productName, description, price, quantity, category, images } =
-      req.body;
+    const {
+      productName,
+      description,
+      price,
+      quantity,
+      category,
+      images,
+      optionTypes,
+      variants,
+    } = req.body;
     const userId = req.user.userId;
-
-    // Validation
-    if (!productName || !description || !price || !quantity || !category) {
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
+
+    // Validation (quantity comes from the variants when there are any)
+    if (
+      !productName ||
+      !description ||
+      !price ||
+      (!quantity && !hasVariants) ||
+      !category
+    ) {
       return res.status(400).json({
         message: "Missing required fields",
       });
     }
 
-    if (!images || images.length === 0) {
+    if (!Array.isArray(images) || images.length === 0) {
       return res.status(400).json({
         message: "At least one image is required",
       });
     }
 
     // Validate images array structure
-    const isValidImages = images.every(
-      (img) => img.url && typeof img.url === "string"
-    );
-    if (!isValidImages) {
+    if (!isValidImages(images)) {
       return res.status(400).json({
         message: "Invalid image data format",
       });
@@ -83,7 +116,7 @@ exports.createProduct = async (req, res) => {
 
     // Parse price and quantity as numbers
     const parsedPrice = parseFloat(price);
-    const parsedQuantity = parseInt(quantity, 10);
+    const parsedQuantity = hasVariants ? 0 : parseInt(quantity, 10);
 
     if (isNaN(parsedPrice) || parsedPrice < 0) {
       return res.status(400).json({
@@ -97,19 +130,56 @@ exports.createProduct = async (req, res) => {
       });
     }
 
+    // Category must exist in the taxonomy
+    const categoryDoc = await categoryService.resolveCategory(category);
+    if (!categoryDoc) {
+      return res.status(400).json({
+        message: "Invalid category",
+      });
+    }
+
+    if (Array.isArray(optionTypes) && optionTypes.length > 0 && !hasVariants) {
+      return res.status(400).json({
+        message: "Option types can only be set together with variants",
+      });
+    }
+
+    // Validate variants
+    let variantData = { optionTypes: [], variants: [] };
+    try {
+      variantData = variantService.normalizeVariants(optionTypes, variants);
+    } catch (variantError) {
+      if (!(variantError instanceof variantService.VariantError)) throw variantError;
+      return res.status(400).json({ message: variantError.message });
+    }
+
+    // Images must be this seller's own uploads
+    await uploadService.checkSubmittedImages(
+      uploadService.productImages({ images, variants: variantData.variants }),
+      { owner: userId },
+    );
+
     // Create product
     const product = new Product({
       productName: productName.trim(),
       description: description.trim(),
       price: parsedPrice,
       quantity: parsedQuantity,
-      category,
+      category: categoryDoc.slug,
+      categoryId: categoryDoc._id,
       images,
+      optionTypes: variantData.optionTypes,
+      variants: variantData.variants,
       seller: userId,
       status: "active",
     });
 
     await product.save();
+    await uploadService.attachUploads(uploadService.productImages(product), {
+      kind: "Product",
+      item: product._id,
+      owner: userId,
+    });
 
     // Populate seller details before responding
     await product.populate("seller", "name email contactNumber");
@@ -119,6 +189,9 @@ exports.createProduct = async (req, res) => {
       product,
     });
   } catch (error) {
+    if (error instanceof uploadService.UploadError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error("Product creation error:", error);
     res.status(500).json({
       message: "Failed to create product",
@@ -127,44 +200,29 @@ exports.createProduct = async (req, res) => {
   }
 };
 
-// Get all products with pagination and filtering
+// Get all products with search, filters, sorting and facets
 exports.getAllProducts = async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, search } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Build filter object
-    const filter = { status: "active" };
-
-    if (category) {
-      filter.category = category;
-    }
-
-    if (search) {
-      filter.$or = [
-        { productName: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    // Get total count for pagination
-    const total = await Product.countDocuments(filter);
+    const { page = 1, limit = 10 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
 
-    // Fetch products with pagination
-    const products = await Product.find(filter)
-      .populate("seller", "name email contactNumber profilePhoto")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const { products, total, sort, facets } =
+      await catalogSearchService.searchProducts(req.query, {
+        page: pageNumber,
+        limit: pageSize,
+      });
 
     res.status(200).json({
       message: "Products retrieved successfully",
       products,
+      facets,
+      sort,
       pagination: {
         total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit)),
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize),
       },
     });
   } catch (error) {
@@ -186,7 +244,7 @@ exports.getProductById = async (req, res) => {
       "name email contactNumber profilePhoto address"
     );
 
-    if (!product) {
+    if (!product || product.isArchived()) {
       return res.status(404).json({ message: "Product not found" });
     }
 
@@ -207,11 +265,15 @@ exports.getProductById = async (req, res) => {
 exports.getUserProducts = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10, status, archived } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    const showArchived = archived === "true";
 
-    // Build filter
-    const filter = { seller: userId };
+    // Build filter (archived products are listed separately)
+    const filter = {
+      seller: userId,
+      deletedAt: showArchived ? { $ne: null } : null,
+    };
 
     if (status) {
       filter.status = status;
@@ -223,13 +285,18 @@ exports.getUserProducts = async (req, res) => {
     // Fetch products
     const products = await Product.find(filter)
       .populate("seller", "name email contactNumber")
-      .sort({ createdAt: -1 })
+      .sort(showArchived ? { deletedAt: -1 } : { createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
     res.status(200).json({
       message: "User products retrieved successfully",
-      products,
+      products: showArchived
+        ? products.map((product) => ({
+            ...product.toObject(),
+            restorableUntil: product.restorableUntil(),
+          }))
+        : products,
       pagination: {
         total,
         page: parseInt(page),
@@ -250,8 +317,17 @@ exports.getUserProducts = async (req, res) => {
 exports.updateProduct = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { productName, description, price, quantity, category, status, images } =
-      req.body;
+    const {
+      productName,
+      description,
+      price,
+      quantity,
+      category,
+      status,
+      images,
+      optionTypes,
+      variants,
+    } = req.body;
     const userId = req.user.userId;
     const userRole = req.user.role;
     // Find product
@@ -262,34 +338,84 @@ exports.updateProduct = async (req, res) => {
     }
 
     // Check if user is the seller
-    if (product.seller.toString() !== userId && userRole !== "admin") {
+    if (
+      product.seller.toString() !== userId &&
+      !hasPermission(userRole, PERMISSIONS.PRODUCTS_MANAGE_ANY)
+    ) {
       return res
         .status(403)
         .json({ message: "You are not authorized to update this product" });
     }
 
+    if (product.isArchived()) {
+      return res.status(400).json({
+        message: "Restore the product before editing it",
+      });
+    }
+
+    // Images before the update, to delete the ones no longer used
+    const previousImages = uploadService.productImages(product.toObject());
+
     // Update fields
     if (productName) product.productName = productName.trim();
     if (description) product.description = description.trim();
     if (price) product.price = parseFloat(price);
     if (quantity) product.quantity = parseInt(quantity, 10);
-    if (category) product.category = category;
+    if (category) {
+      const categoryDoc = await categoryService.resolveCategory(category);
+      if (!categoryDoc) {
+        return res.status(400).json({ message: "Invalid category" });
+      }
+      product.category = categoryDoc.slug;
+      product.categoryId = categoryDoc._id;
+    }
     if (status) product.status = status;
 
+    // Replace variants if provided (an empty array removes them). Option
+    // types alone are checked against the current variants.
+    if (variants === undefined && optionTypes !== undefined && product.variants.length === 0) {
+      return res.status(400).json({
+        message: "Option types can only be set together with variants",
+      });
+    }
+    if (variants !== undefined || optionTypes !== undefined) {
+      try {
+        const variantData = variantService.normalizeVariants(
+          optionTypes ?? product.optionTypes,
+          variants ??
+            product.variants.map((variant) => variant.toObject({ flattenMaps: true })),
+          product.variants,
+        );
+        product.optionTypes = variantData.optionTypes;
+        product.variants = variantData.variants;
+      } catch (variantError) {
+        if (!(variantError instanceof variantService.VariantError)) throw variantError;
+        return res.status(400).json({ message: variantError.message });
+      }
+    }
+
     // Update images if provided
-    if (images && images.length > 0) {
-      // Delete old images from Cloudinary
-      for (const oldImage of product.images) {
-        try {
-          await cloudinary.uploader.destroy(oldImage.public_id);
-        } catch (deleteError) {
-          console.error("Error deleting old image:", deleteError);
-        }
+    if (images !== undefined && images.length > 0) {
+      if (!isValidImages(images)) {
+        return res.status(400).json({
+          message: "Invalid image data format",
+        });
       }
       product.images = images;
     }
 
+    // New images must be the caller's own uploads
+    await uploadService.checkSubmittedImages(uploadService.productImages(product), {
+      owner: userId,
+      existing: previousImages,
+    });
+
     await product.save();
+    await uploadService.syncImages(previousImages, uploadService.productImages(product), {
+      kind: "Product",
+      item: product._id,
+      owner: userId,
+    });
 
     // Populate seller details
     await product.populate("seller", "name email contactNumber");
@@ -299,6 +425,9 @@ exports.updateProduct = async (req, res) => {
       product,
     });
   } catch (error) {
+    if (error instanceof uploadService.UploadError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error("Product update error:", error);
     res.status(500).json({
       message: "Failed to update product",
@@ -317,31 +446,29 @@ exports.deleteProduct = async (req, res) => {
     // Find product
     const product = await Product.findById(productId);
 
-    if (!product) {
+    if (!product || product.isArchived()) {
       return res.status(404).json({ message: "Product not found" });
     }
 
     // Check if user is the seller
-    if (product.seller.toString() !== userId && userRole !== "admin") {
+    if (
+      product.seller.toString() !== userId &&
+      !hasPermission(userRole, PERMISSIONS.PRODUCTS_MANAGE_ANY)
+    ) {
       return res
         .status(403)
         .json({ message: "You are not authorized to delete this product" });
     }
 
-    // Delete images from Cloudinary
-    for (const image of product.images) {
-      try {
-        await cloudinary.uploader.destroy(image.public_id);
-      } catch (deleteError) {
-        console.error("Error deleting image:", deleteError);
-      }
+    // Archive rather than delete so past orders can still show it. Images are
+    // kept until the product is purged.
+    if (!(await productArchiveService.archiveProduct(product, userId))) {
+      return res.status(404).json({ message: "Product not found" });
     }
 
-    // Delete product
-    await Product.findByIdAndDelete(productId);
-
     res.status(200).json({
-      message: "Product deleted successfully",
+      message: "Product archived successfully",
+      restorableUntil: product.restorableUntil(),
     });
   } catch (error) {
     console.error("Product deletion error:", error);
@@ -352,26 +479,114 @@ exports.deleteProduct = async (req, res) => {
   }
 };
 
-// Search products by category
+// Restore an archived product within the restore window
+exports.restoreProduct = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    // Check if user is the seller
+    if (
+      product.seller.toString() !== req.user.userId &&
+      !hasPermission(req.user.role, PERMISSIONS.PRODUCTS_MANAGE_ANY)
+    ) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to restore this product" });
+    }
+
+    if (!product.isArchived()) {
+      return res.status(400).json({ message: "Product is not archived" });
+    }
+
+    if (product.restorableUntil() < new Date()) {
+      return res.status(410).json({
+        message: "The restore window for this product has passed",
+      });
+    }
+
+    await productArchiveService.restoreProduct(product);
+
+    res.status(200).json({
+      message: "Product restored successfully",
+      product,
+    });
+  } catch (error) {
+    console.error("Product restore error:", error);
+    res.status(500).json({
+      message: "Failed to restore product",
+      error: error.message,
+    });
+  }
+};
+
+// Permanently delete archived products (given ids, or all past the restore window)
+exports.purgeProducts = async (req, res) => {
+  try {
+    const { productIds } = req.body || {};
+
+    if (
+      productIds !== undefined &&
+      (!Array.isArray(productIds) ||
+        !productIds.every((id) => mongoose.isValidObjectId(id)))
+    ) {
+      return res.status(400).json({
+        message: "productIds must be an array of product IDs",
+      });
+    }
+
+    const purged = await productArchiveService.purgeArchivedProducts({
+      productIds,
+    });
+
+    res.status(200).json({
+      message: "Archived products purged successfully",
+      purged,
+    });
+  } catch (error) {
+    console.error("Product purge error:", error);
+    res.status(500).json({
+      message: "Failed to purge products",
+      error: error.message,
+    });
+  }
+};
+
+// Get products in a category, including its subcategories
 exports.getProductsByCategory = async (req, res) => {
   try {
     const { category } = req.params;
     const { page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const total = await Product.countDocuments({
-      category,
+    const categoryDoc = await categoryService.resolveCategory(category);
+    if (!categoryDoc) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const categoryIds = await categoryService.getSubtreeIds(categoryDoc);
+    const filter = {
+      categoryId: { $in: categoryIds },
       status: "active",
-    });
+      deletedAt: null,
+    };
+
+    const total = await Product.countDocuments(filter);
 
-    const products = await Product.find({ category, status: "active" })
+    const products = await Product.find(filter)
       .populate("seller", "name email contactNumber profilePhoto")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
     res.status(200).json({
-      message: `Products in ${category} retrieved successfully`,
+      message: `Products in ${categoryDoc.name} retrieved successfully`,
+      category: categoryDoc,
       products,
       pagination: {
         total,
@@ -388,3 +603,147 @@ exports.getProductsByCategory = async (req, res) => {
     });
   }
 };
+
+// Bulk import products from a CSV or JSON lines file (runs in the background)
+exports.importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: "No file uploaded",
+      });
+    }
+
+    const format = path.extname(req.file.originalname).toLowerCase() === ".csv" ? "csv" : "jsonl";
+    const dryRun = req.query.dryRun === "true";
+
+    let rows;
+    try {
+      rows = productImportService.parseFile(req.file.buffer, format);
+    } catch (parseError) {
+      if (!(parseError instanceof productImportService.ImportFileError)) throw parseError;
+      return res.status(400).json({
+        message: parseError.message,
+      });
+    }
+
+    const job = await ImportJob.create({
+      seller: req.user.userId,
+      format,
+      dryRun,
+    });
+
+    setImmediate(() => {
+      productImportService.runImportJob(job._id, rows).catch((error) => {
+        console.error("Product import job error:", error);
+      });
+    });
+
+    res.status(202).json({
+      message: dryRun ? "Import validation started" : "Import started",
+      jobId: job._id,
+      rows: rows.length,
+      dryRun,
+    });
+  } catch (error) {
+    console.error("Import products error:", error);
+    res.status(500).json({
+      message: "Failed to import products",
+      error: error.message,
+    });
+  }
+};
+
+// Get the status and per-row report of an import job
+exports.getImportJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(404).json({
+        message: "Import job not found",
+      });
+    }
+
+    // Report jobs interrupted by a restart as failed
+    await productImportService.failStaleJobs({ _id: jobId });
+    const job = await ImportJob.findById(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        message: "Import job not found",
+      });
+    }
+
+    // Check ownership
+    if (
+      job.seller.toString() !== req.user.userId &&
+      !hasPermission(req.user.role, PERMISSIONS.PRODUCTS_MANAGE_ANY)
+    ) {
+      return res.status(403).json({
+        message: "You don't have permission to view this import job",
+      });
+    }
+
+    res.status(200).json({
+      message: "Import job retrieved successfully",
+      job,
+    });
+  } catch (error) {
+    console.error("Fetch import job error:", error);
+    res.status(500).json({
+      message: "Failed to fetch import job",
+      error: error.message,
+    });
+  }
+};
+
+// Export products as CSV or JSON lines (own products, or all for admins)
+exports.exportProducts = async (req, res) => {
+  try {
+    const { format = "csv", status, scope } = req.query;
+
+    if (!["csv", "jsonl"].includes(format)) {
+      return res.status(400).json({
+        message: "format must be csv or jsonl",
+      });
+    }
+
+    // Build filter
+    const filter = { deletedAt: null };
+    if (scope === "all") {
+      if (!hasPermission(req.user.role, PERMISSIONS.PRODUCTS_MANAGE_ANY)) {
+        return res.status(403).json({
+          message: "You don't have permission to export all products",
+        });
+      }
+    } else {
+      filter.seller = req.user.userId;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader(
+      "Content-Type",
+      format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson",
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="products-${date}.${format}"`,
+    );
+
+    await productImportService.streamProductsExport(res, filter, format);
+  } catch (error) {
+    console.error("Export products error:", error);
+    // Headers may already be sent once streaming has started
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      message: "Failed to export products",
+      error: error.message,
+    });
+  }
+};
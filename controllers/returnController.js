@@ -0,0 +1,260 @@
+const mongoose = require("mongoose");
+const Return = require("../models/Return");
+const Product = require("../models/Product");
+const { hasPermission, PERMISSIONS } = require("../config/permissions");
+const returnService = require("../services/returnService");
+const refundService = require("../services/refundService");
+
+// Send a return or refund error as a response
+const sendReturnError = (res, error) => {
+  return res.status(error.status).json({ message: error.message });
+};
+
+const isReturnError = (error) =>
+  error instanceof returnService.ReturnError ||
+  error instanceof refundService.RefundError;
+
+// Find a return the current user may manage. Sends the error response and
+// returns null otherwise.
+const findManageableReturn = async (req, res) => {
+  const { returnId } = req.params;
+  const returnRequest = mongoose.isValidObjectId(returnId)
+    ? await Return.findById(returnId)
+    : null;
+
+  if (!returnRequest) {
+    res.status(404).json({ message: "Return not found" });
+    return null;
+  }
+
+  if (!(await returnService.canManageReturn(returnRequest, req.user))) {
+    res
+      .status(403)
+      .json({ message: "You are not authorized to manage this return" });
+    return null;
+  }
+
+  return returnRequest;
+};
+
+// Request a return for items of a delivered order
+exports.createReturn = async (req, res) => {
+  try {
+    const { orderId, items } = req.body || {};
+
+    const returnRequest = await returnService.createReturn(req.user, {
+      orderId,
+      items,
+    });
+
+    res.status(201).json({
+      message: "Return requested successfully",
+      return: returnRequest,
+    });
+  } catch (error) {
+    if (isReturnError(error)) {
+      return sendReturnError(res, error);
+    }
+    console.error("Return request error:", error);
+    res.status(500).json({
+      message: "Failed to request return",
+      error: error.message,
+    });
+  }
+};
+
+// Get own return requests
+exports.getMyReturns = async (req, res) => {
+  try {
+    const returns = await Return.find({ user: req.user.userId })
+      .populate("order", "orderId total")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: "Returns fetched successfully",
+      returns,
+      count: returns.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching returns",
+      error: error.message,
+    });
+  }
+};
+
+// List returns to handle: every return for admins, returns of own products for sellers
+exports.getReturnsToManage = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const filter = {};
+    if (!hasPermission(req.user.role, PERMISSIONS.ORDERS_MANAGE_ANY)) {
+      const productIds = await Product.distinct("_id", {
+        seller: req.user.userId,
+      });
+      filter["items.productId"] = { $in: productIds };
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    const total = await Return.countDocuments(filter);
+
+    const returns = await Return.find(filter)
+      .populate("user", "name email")
+      .populate("order", "orderId total paymentStatus")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.status(200).json({
+      message: "Returns fetched successfully",
+      returns,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Fetch returns error:", error);
+    res.status(500).json({
+      message: "Error fetching returns",
+      error: error.message,
+    });
+  }
+};
+
+// Get a return (its buyer, or someone who can manage it)
+exports.getReturnById = async (req, res) => {
+  try {
+    const { returnId } = req.params;
+
+    const returnRequest = mongoose.isValidObjectId(returnId)
+      ? await Return.findById(returnId).populate("order", "orderId total paymentStatus")
+      : null;
+
+    if (!returnRequest) {
+      return res.status(404).json({ message: "Return not found" });
+    }
+
+    if (
+      returnRequest.user.toString() !== req.user.userId &&
+      !(await returnService.canManageReturn(returnRequest, req.user))
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Unauthorized to access this return" });
+    }
+
+    res.status(200).json({
+      message: "Return fetched successfully",
+      return: returnRequest,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching return",
+      error: error.message,
+    });
+  }
+};
+
+// Approve, reject or mark a return as received
+exports.updateReturnStatus = async (req, res) => {
+  try {
+    const { status, note = "" } = req.body || {};
+
+    const returnRequest = await findManageableReturn(req, res);
+    if (!returnRequest) return;
+
+    const updated = await returnService.changeStatus(returnRequest, {
+      status,
+      note: String(note).trim(),
+      actor: req.user,
+    });
+
+    res.status(200).json({
+      message: "Return updated successfully",
+      return: updated,
+    });
+  } catch (error) {
+    if (isReturnError(error)) {
+      return sendReturnError(res, error);
+    }
+    console.error("Return status update error:", error);
+    res.status(500).json({
+      message: "Failed to update return",
+      error: error.message,
+    });
+  }
+};
+
+// Record the inspection of a received return and restock accepted items
+exports.inspectReturn = async (req, res) => {
+  try {
+    const { items, note = "" } = req.body || {};
+
+    const returnRequest = await findManageableReturn(req, res);
+    if (!returnRequest) return;
+
+    const updated = await returnService.inspect(returnRequest, {
+      items,
+      note: String(note).trim(),
+      actor: req.user,
+    });
+
+    res.status(200).json({
+      message: "Return inspected successfully",
+      return: updated,
+    });
+  } catch (error) {
+    if (isReturnError(error)) {
+      return sendReturnError(res, error);
+    }
+    console.error("Return inspection error:", error);
+    res.status(500).json({
+      message: "Failed to inspect return",
+      error: error.message,
+    });
+  }
+};
+
+// Refund an inspected return
+exports.refundReturn = async (req, res) => {
+  try {
+    const { amount, note = "" } = req.body || {};
+
+    const returnRequest = await findManageableReturn(req, res);
+    if (!returnRequest) return;
+
+    const { returnRequest: updated, order } = await returnService.refund(
+      returnRequest,
+      {
+        amount,
+        note: String(note).trim(),
+        actor: req.user,
+      },
+    );
+
+    res.status(200).json({
+      message: "Return refunded successfully",
+      return: updated,
+      paymentStatus: order.paymentStatus,
+      refunds: order.refunds,
+    });
+  } catch (error) {
+    if (isReturnError(error)) {
+      return sendReturnError(res, error);
+    }
+    console.error("Return refund error:", error);
+    res.status(500).json({
+      message: "Failed to refund return",
+      error: error.message,
+    });
+  }
+};
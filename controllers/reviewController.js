@@ -0,0 +1,478 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const Product = require("../models/Product");
+const imageService = require("../services/imageService");
+const uploadService = require("../services/uploadService");
+const reviewService = require("../services/reviewService");
+const { hasPermission, PERMISSIONS } = require("../config/permissions");
+
+const REVIEW_SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 },
+};
+
+// Validate optional review images
+const isValidImages = (images) =>
+  Array.isArray(images) &&
+  images.length <= 5 &&
+  images.every(
+    (img) => img && typeof img === "object" && typeof img.url === "string" && img.url,
+  );
+
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    message: "Invalid review",
+    errors: Object.values(error.errors).map((err) => err.message),
+  });
+};
+
+// Upload review image(s)
+exports.uploadReviewImages = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: "No image files provided" });
+    }
+
+    const uploadedImages = [];
+
+    try {
+      for (const file of req.files) {
+        uploadedImages.push(
+          await imageService.storeImage(file.buffer, { folder: "payplex/reviews" }),
+        );
+      }
+
+      // Pending until a review references them
+      for (const image of uploadedImages) {
+        await uploadService.registerUpload(image, {
+          owner: req.user.userId,
+          folder: "payplex/reviews",
+        });
+      }
+
+      res.status(200).json({
+        message: "Images uploaded successfully",
+        images: uploadedImages,
+      });
+    } catch (uploadError) {
+      // Remove images already stored for this request
+      for (const image of uploadedImages) {
+        await imageService.removeImage(image);
+      }
+      if (uploadError instanceof imageService.ImageError) {
+        return imageService.sendImageError(res, uploadError);
+      }
+      return res.status(500).json({
+        message: "Image upload failed",
+        error: uploadError.message,
+      });
+    }
+  } catch (error) {
+    res.status(500).json({ message: "Upload failed", error: error.message });
+  }
+};
+
+// Get published reviews for a product
+exports.getProductReviews = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { page = 1, limit = 10, sort = "newest", rating } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const filter = { product: productId, status: "published" };
+    if (rating) {
+      filter.rating = parseInt(rating);
+    }
+
+    const total = await Review.countDocuments(filter);
+
+    const reviews = await Review.find(filter)
+      .select("-helpfulVotes")
+      .populate("user", "name profilePhoto")
+      .sort(REVIEW_SORT_OPTIONS[sort] || REVIEW_SORT_OPTIONS.newest)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Rating breakdown for the histogram
+    const breakdown = await Review.aggregate([
+      {
+        $match: {
+          product: new mongoose.Types.ObjectId(productId),
+          status: "published",
+        },
+      },
+      { $group: { _id: "$rating", count: { $sum: 1 } } },
+    ]);
+
+    const ratingBreakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    breakdown.forEach(({ _id, count }) => {
+      ratingBreakdown[_id] = count;
+    });
+
+    res.status(200).json({
+      message: "Reviews retrieved successfully",
+      reviews,
+      ratingBreakdown,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Fetch reviews error:", error);
+    res.status(500).json({
+      message: "Failed to fetch reviews",
+      error: error.message,
+    });
+  }
+};
+
+// Create review (buyers with a delivered order containing the product)
+exports.createReview = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { rating, title, body, images = [] } = req.body;
+    const userId = req.user.userId;
+
+    if (!rating) {
+      return res.status(400).json({ message: "Rating is required" });
+    }
+
+    if (!isValidImages(images)) {
+      return res.status(400).json({ message: "Invalid image data format" });
+    }
+    await uploadService.checkSubmittedImages(images, { owner: userId });
+
+    const product = mongoose.isValidObjectId(productId)
+      ? await Product.findById(productId)
+      : null;
+    if (!product || product.isArchived()) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const order = await reviewService.findEligibleOrder(userId, productId);
+    if (!order) {
+      return res.status(403).json({
+        message: "You can only review products from your delivered orders",
+      });
+    }
+
+    if (await Review.exists({ product: productId, user: userId })) {
+      return res
+        .status(400)
+        .json({ message: "You have already reviewed this product" });
+    }
+
+    const review = new Review({
+      product: productId,
+      user: userId,
+      order: order._id,
+      rating: Number(rating),
+      title,
+      body,
+      images,
+    });
+
+    await review.save();
+    await uploadService.attachUploads(review.images, {
+      kind: "Review",
+      item: review._id,
+      owner: userId,
+    });
+    const ratings = await reviewService.recalculateProductRating(productId);
+
+    res.status(201).json({
+      message: "Review created successfully",
+      review,
+      ratings,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    if (error instanceof uploadService.UploadError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    // Unique index guards against concurrent duplicates
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ message: "You have already reviewed this product" });
+    }
+    console.error("Review creation error:", error);
+    res.status(500).json({
+      message: "Failed to create review",
+      error: error.message,
+    });
+  }
+};
+
+// Update own review
+exports.updateReview = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { rating, title, body, images } = req.body;
+
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      return res.status(404).json({ message: "Review not found" });
+    }
+
+    if (review.user.toString() !== req.user.userId) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to update this review" });
+    }
+
+    if (images !== undefined && !isValidImages(images)) {
+      return res.status(400).json({ message: "Invalid image data format" });
+    }
+
+    const previousImages = review.images.map((image) => image.toObject());
+    if (images !== undefined) {
+      await uploadService.checkSubmittedImages(images, {
+        owner: req.user.userId,
+        existing: previousImages,
+      });
+    }
+
+    if (rating !== undefined) review.rating = Number(rating);
+    if (title !== undefined) review.title = title;
+    if (body !== undefined) review.body = body;
+    if (images !== undefined) review.images = images;
+
+    await review.save();
+    await uploadService.syncImages(previousImages, review.images, {
+      kind: "Review",
+      item: review._id,
+      owner: req.user.userId,
+    });
+    const ratings = await reviewService.recalculateProductRating(review.product);
+
+    res.status(200).json({
+      message: "Review updated successfully",
+      review,
+      ratings,
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    if (error instanceof uploadService.UploadError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Review update error:", error);
+    res.status(500).json({
+      message: "Failed to update review",
+      error: error.message,
+    });
+  }
+};
+
+// Delete review (author or moderator)
+exports.deleteReview = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      return res.status(404).json({ message: "Review not found" });
+    }
+
+    if (
+      review.user.toString() !== req.user.userId &&
+      !hasPermission(req.user.role, PERMISSIONS.REVIEWS_MODERATE)
+    ) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to delete this review" });
+    }
+
+    await Review.findByIdAndDelete(reviewId);
+    await uploadService.deleteImages(review.images, {
+      kind: "Review",
+      item: review._id,
+    });
+    const ratings = await reviewService.recalculateProductRating(review.product);
+
+    res.status(200).json({
+      message: "Review deleted successfully",
+      ratings,
+    });
+  } catch (error) {
+    console.error("Review deletion error:", error);
+    res.status(500).json({
+      message: "Failed to delete review",
+      error: error.message,
+    });
+  }
+};
+
+// Seller reply to a review of their product (empty body removes the reply)
+exports.replyToReview = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { body } = req.body;
+
+    const review = await Review.findById(reviewId).populate("product", "seller");
+    if (!review) {
+      return res.status(404).json({ message: "Review not found" });
+    }
+
+    if (!review.product || review.product.seller.toString() !== req.user.userId) {
+      return res
+        .status(403)
+        .json({ message: "Only the seller of this product can reply" });
+    }
+
+    review.sellerReply = body
+      ? { body: body.trim(), repliedBy: req.user.userId, repliedAt: new Date() }
+      : undefined;
+    await review.save();
+
+    res.status(200).json({
+      message: body ? "Reply saved successfully" : "Reply removed",
+      review,
+    });
+  } catch (error) {
+    console.error("Review reply error:", error);
+    res.status(500).json({
+      message: "Failed to reply to review",
+      error: error.message,
+    });
+  }
+};
+
+// Toggle a helpful vote
+exports.toggleHelpfulVote = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const userId = req.user.userId;
+
+    const review = await Review.findById(reviewId).select("user status");
+    if (!review || review.status !== "published") {
+      return res.status(404).json({ message: "Review not found" });
+    }
+
+    if (review.user.toString() === userId) {
+      return res
+        .status(400)
+        .json({ message: "You cannot vote on your own review" });
+    }
+
+    // Add the vote; if it was already there, remove it instead
+    let updated = await Review.findOneAndUpdate(
+      { _id: reviewId, helpfulVotes: { $ne: userId } },
+      { $push: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+      { new: true },
+    );
+    let voted = true;
+
+    if (!updated) {
+      updated = await Review.findOneAndUpdate(
+        { _id: reviewId, helpfulVotes: userId },
+        { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+        { new: true },
+      );
+      voted = false;
+    }
+
+    res.status(200).json({
+      message: voted ? "Marked as helpful" : "Helpful vote removed",
+      helpfulCount: updated ? updated.helpfulCount : 0,
+      voted,
+    });
+  } catch (error) {
+    console.error("Review vote error:", error);
+    res.status(500).json({
+      message: "Failed to vote on review",
+      error: error.message,
+    });
+  }
+};
+
+// List reviews for moderation
+exports.getReviewsForModeration = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = status ? { status } : {};
+
+    const total = await Review.countDocuments(filter);
+
+    const reviews = await Review.find(filter)
+      .select("-helpfulVotes")
+      .populate("user", "name email")
+      .populate("product", "productName")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.status(200).json({
+      message: "Reviews retrieved successfully",
+      reviews,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Fetch reviews for moderation error:", error);
+    res.status(500).json({
+      message: "Failed to fetch reviews",
+      error: error.message,
+    });
+  }
+};
+
+// Hide or publish a review
+exports.moderateReview = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { status, reason } = req.body;
+
+    if (!["published", "hidden"].includes(status)) {
+      return res.status(400).json({
+        message: "Invalid status. Must be published or hidden.",
+      });
+    }
+
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      return res.status(404).json({ message: "Review not found" });
+    }
+
+    review.status = status;
+    review.moderation = {
+      moderatedBy: req.user.userId,
+      moderatedAt: new Date(),
+      reason: reason || "",
+    };
+    await review.save();
+
+    const ratings = await reviewService.recalculateProductRating(review.product);
+
+    res.status(200).json({
+      message: `Review ${status === "hidden" ? "hidden" : "published"}`,
+      review,
+      ratings,
+    });
+  } catch (error) {
+    console.error("Review moderation error:", error);
+    res.status(500).json({
+      message: "Failed to moderate review",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,302 @@
+const User = require("../models/User");
+const bcrypt = require("bcryptjs");
+const tokenService = require("../services/tokenService");
+const totpService = require("../services/totpService");
+const loginProtectionService = require("../services/loginProtectionService");
+
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes";
+
+// Send a lockout from loginProtectionService as a response
+const sendLocked = (res, locked) => {
+  res.set("Retry-After", String(locked.retryAfter));
+  return res.status(locked.status).json({
+    message: locked.message,
+    code: locked.code,
+    retryAfter: locked.retryAfter,
+  });
+};
+
+// Check a TOTP code or recovery code against the user's enabled secret.
+// Updates lastUsedStep / remaining recovery codes on success; caller saves.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const secret = totpService.decryptSecret(user.twoFactor.secret);
+    const step = totpService.verifyCode(secret, code, user.twoFactor.lastUsedStep);
+    if (step === null) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const remaining = totpService.useRecoveryCode(
+      user.twoFactor.recoveryCodes || [],
+      recoveryCode,
+    );
+    if (!remaining) return false;
+
+    user.twoFactor.recoveryCodes = remaining;
+    return true;
+  }
+
+  return false;
+};
+
+// Start enrolment - generate a secret and provisioning URI
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = totpService.generateSecret();
+    user.twoFactor.pendingSecret = totpService.encryptSecret(secret);
+    await user.save();
+
+    res.status(200).json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl: totpService.buildProvisioningUri(secret, user.email),
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Failed to start two-factor setup",
+      error: error.message,
+    });
+  }
+};
+
+// Confirm enrolment with a code from the authenticator app
+exports.enable = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res
+        .status(400)
+        .json({ message: "Start two-factor setup before enabling it" });
+    }
+
+    const secret = totpService.decryptSecret(user.twoFactor.pendingSecret);
+    const step = totpService.verifyCode(secret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled. Store your recovery codes safely.",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Failed to enable two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+// Disable two-factor authentication (password and second factor required)
+exports.disable = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .json({ message: "Password and code or recovery code are required" });
+    }
+
+    const user = await User.findById(req.user.userId).select(
+      `+password ${SECRET_FIELDS}`,
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (totpService.requiresTwoFactor(user)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for your role",
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: "Invalid password" });
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    user.twoFactor = { enabled: false, lastUsedStep: -1 };
+    await user.save();
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    res.status(500).json({
+      message: "Failed to disable two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+// Replace recovery codes
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!checkSecondFactor(user, { code })) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.status(200).json({
+      message: "Recovery codes regenerated",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Failed to regenerate recovery codes",
+      error: error.message,
+    });
+  }
+};
+
+// Login step 2 - verify code for a login that passed the password check
+exports.verifyLogin = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    if (!twoFactorToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: "Two-factor token and code or recovery code are required",
+      });
+    }
+
+    const decoded = tokenService.verifyTwoFactorToken(twoFactorToken);
+    if (!decoded) {
+      return res
+        .status(401)
+        .json({ message: "Two-factor session is invalid or expired" });
+    }
+
+    const user = await User.findById(decoded.userId).select(
+      `${SECRET_FIELDS} +twoFactor.loginTokenId`,
+    );
+    if (
+      !user ||
+      !user.twoFactor?.enabled ||
+      decoded.tokenVersion !== (user.tokenVersion || 0) ||
+      !decoded.jti ||
+      decoded.jti !== user.twoFactor.loginTokenId
+    ) {
+      return res
+        .status(401)
+        .json({ message: "Two-factor session is invalid or expired" });
+    }
+
+    if (user.status === "inactive") {
+      return res.status(403).json({ message: "Your account is inactive" });
+    }
+
+    // Reject attempts while locked out after too many invalid codes
+    const blocked = loginProtectionService.checkTwoFactorAllowed(user);
+    if (blocked) {
+      return sendLocked(res, blocked);
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      const locked = await loginProtectionService.recordFailedTwoFactor(user);
+      if (locked) {
+        return sendLocked(res, locked);
+      }
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    // Single use: a parallel request with the same token loses here
+    if (!(await tokenService.consumeTwoFactorToken(decoded))) {
+      return res
+        .status(401)
+        .json({ message: "Two-factor session is invalid or expired" });
+    }
+
+    await loginProtectionService.resetFailedTwoFactor(user);
+    await user.save();
+
+    // Generate tokens
+    const { token, refreshToken } = await tokenService.issueTokens(user, req);
+
+    res.status(200).json({
+      message: "Login successful",
+      token,
+      refreshToken,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        profilePhoto: user.profilePhoto,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Login failed", error: error.message });
+  }
+};
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { requiresTwoFactor } = require('../services/totpService');
+const { hasPermission } = require('../config/permissions');
 
 // Protect routes - verify JWT token
 exports.authenticate = async (req, res, next) => {
@@ -11,13 +13,44 @@ exports.authenticate = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+
+    // Purpose-specific tokens (e.g. pending two-factor login) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
+    // Check the account is still active and the token has not been revoked
+    const user = await User.findById(decoded.userId);
+    if (!user || (decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Token has been revoked, please log in again' });
+    }
+
+    if (user.status === 'inactive') {
+      return res.status(403).json({ message: 'Your account is inactive' });
+    }
+
+    // Roles that require two-factor authentication must enrol before anything else
+    if (!req.allowTwoFactorSetup && requiresTwoFactor(user) && !user.twoFactor?.enabled) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be enabled for your account',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
+
+    req.user = { ...decoded, role: user.role };
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
+// Let users who still need to enrol in two-factor authentication through
+// (used before authenticate on the enrolment routes)
+exports.allowTwoFactorSetup = (req, res, next) => {
+  req.allowTwoFactorSetup = true;
+  next();
+};
+
 // Check user role
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -27,3 +60,13 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Check the user's role grants at least one of the permissions
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.some((permission) => hasPermission(req.user.role, permission))) {
+      return res.status(403).json({ message: 'You do not have permission to perform this action' });
+    }
+    next();
+  };
+};
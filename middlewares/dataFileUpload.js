@@ -0,0 +1,21 @@
+const multer = require('multer');
+const path = require('path');
+
+// Accept CSV and JSON lines files for bulk product import
+const fileFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase();
+
+  if (['.csv', '.jsonl', '.ndjson'].includes(extname)) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only CSV (.csv) and JSON lines (.jsonl, .ndjson) files are allowed'));
+  }
+};
+
+const dataFileUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+module.exports = dataFileUpload;
@@ -0,0 +1,49 @@
+const { rateLimit } = require('express-rate-limit');
+const rateLimitConfig = require('../config/rateLimit');
+const MongoRateLimitStore = require('../services/mongoRateLimitStore');
+
+// Each limiter gets its own store instance
+const createStore = (prefix) => {
+  if (rateLimitConfig.store === 'mongo') {
+    return new MongoRateLimitStore(prefix);
+  }
+  return undefined; // express-rate-limit's in-memory store
+};
+
+const createLimiter = ({ prefix, windowMinutes, limit, message, ...options }) => {
+  return rateLimit({
+    windowMs: windowMinutes * 60000,
+    limit,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    store: createStore(prefix),
+    message: { message, code: 'RATE_LIMITED' },
+    ...options
+  });
+};
+
+// Per IP limit on public auth endpoints
+exports.authIpLimiter = createLimiter({
+  prefix: 'rl:auth-ip:',
+  windowMinutes: rateLimitConfig.authWindowMinutes,
+  limit: rateLimitConfig.authMaxPerIp,
+  message: 'Too many requests, please try again later'
+});
+
+// Per account limit, keyed by the email in the request body
+exports.accountLimiter = createLimiter({
+  prefix: 'rl:account:',
+  windowMinutes: rateLimitConfig.accountWindowMinutes,
+  limit: rateLimitConfig.accountMax,
+  message: 'Too many attempts for this account, please try again later',
+  skip: (req) => !req.body?.email,
+  keyGenerator: (req) => String(req.body.email).trim().toLowerCase()
+});
+
+// Per IP limit on unauthenticated uploads
+exports.uploadIpLimiter = createLimiter({
+  prefix: 'rl:upload-ip:',
+  windowMinutes: rateLimitConfig.uploadWindowMinutes,
+  limit: rateLimitConfig.uploadMaxPerIp,
+  message: 'Too many uploads, please try again later'
+});
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Fields shared by saved addresses and the snapshot stored on orders
+const addressFields = {
+  fullName: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  line1: {
+    type: String,
+    required: [true, 'Address line 1 is required'],
+    trim: true
+  },
+  line2: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    required: [true, 'Postal code is required'],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    match: [/^\+?[0-9\s-]{7,20}$/, 'Please enter a valid phone number']
+  }
+};
+
+// Saved address in a user's address book
+const addressSchema = new mongoose.Schema({
+  ...addressFields,
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Copy of an address at the time an order was placed
+const addressSnapshotSchema = new mongoose.Schema(addressFields, { _id: false });
+
+const ADDRESS_FIELDS = Object.keys(addressFields);
+
+// One-line representation of an address
+const formatAddress = (address) => {
+  return [
+    address.fullName,
+    address.line1,
+    address.line2,
+    address.city,
+    `${address.state} ${address.postalCode}`.trim(),
+    address.country
+  ].filter(Boolean).join(', ');
+};
+
+module.exports = { addressSchema, addressSnapshotSchema, ADDRESS_FIELDS, formatAddress };
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Parent chain from the root, used to query whole subtrees
+  ancestors: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }
+  ],
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+// Derive slug from name when not given
+categorySchema.pre('validate', function () {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+});
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Named counter for generated document numbers (see services/sequenceService.js)
+const counterSchema = new mongoose.Schema({
+  // Sequence name, plus the date segment for sequences that reset per period
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Resized copy of an uploaded image, e.g. { size: 'thumbnail', format: 'webp' }
+const imageVariantSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  public_id: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number
+}, { _id: false });
+
+// Uploaded image: the cleaned full-size file plus its responsive variants
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  public_id: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  format: String,
+  variants: {
+    type: [imageVariantSchema],
+    default: undefined
+  }
+}, { _id: false });
+
+module.exports = { imageSchema, imageVariantSchema };
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const importJobSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'jsonl'],
+    required: true
+  },
+  // Dry runs validate every row without writing products
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    valid: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Per-row outcome: valid (dry run), created, updated or error
+  rows: [
+    {
+      _id: false,
+      row: Number,
+      sku: String,
+      status: {
+        type: String,
+        enum: ['valid', 'created', 'updated', 'error']
+      },
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      messages: [String]
+    }
+  ],
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
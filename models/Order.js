@@ -1,4 +1,45 @@
 const mongoose = require('mongoose');
+const { addressSnapshotSchema } = require('./Address');
+const { statusHistorySchema } = require('./StatusHistory');
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be positive']
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  // Set when the refund settles a return
+  returnId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return',
+    default: null
+  },
+  // Pending until the payment provider confirms it
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'completed'
+  },
+  providerRefundId: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
 
 const orderSchema = new mongoose.Schema({
   userId: {
@@ -22,6 +63,19 @@ const orderSchema = new mongoose.Schema({
         type: String,
         required: true
       },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
+      sku: {
+        type: String,
+        default: null
+      },
+      variantOptions: {
+        type: Map,
+        of: String,
+        default: undefined
+      },
       price: {
         type: Number,
         required: true
@@ -55,19 +109,50 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'failed', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
+  // Latest payment attempt with the payment provider
+  payment: {
+    provider: String,
+    intentId: String,
+    // Every intent created for the order, so late events for older attempts still match
+    intentIds: {
+      type: [String],
+      default: undefined
+    },
+    // Provider-side state: requires_payment_method, authorized, succeeded, failed
+    status: String,
+    amount: Number,
+    currency: String,
+    capturedAt: Date
+  },
+  // Money returned to the buyer (cancellations and returns)
+  refunds: [refundSchema],
+  // Written when a return is requested so concurrent requests for the order
+  // conflict instead of both passing the returned-quantity check
+  lastReturnRequestedAt: Date,
   shippingAddress: {
     type: String,
     required: true
   },
+  shippingAddressDetails: {
+    type: addressSnapshotSchema,
+    default: null
+  },
   notes: {
     type: String,
     default: ''
-  }
+  },
+  statusHistory: [statusHistorySchema]
 }, {
   timestamps: true
 });
 
+// Payment webhooks look orders up by intent
+orderSchema.index({ 'payment.provider': 1, 'payment.intentIds': 1 }, { sparse: true });
+
+// Seller fulfilment listing
+orderSchema.index({ 'items.productId': 1, createdAt: -1 });
+
 module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Webhook event received from a payment provider, stored so each is processed once
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  intentId: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // ignored: valid event with nothing to apply (e.g. unknown intent)
+  // rejected: payment that doesn't match the order (amount or currency)
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'rejected', 'failed'],
+    default: 'processing'
+  },
+  error: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
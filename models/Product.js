@@ -1,6 +1,43 @@
 const mongoose = require('mongoose');
+const { imageSchema } = require('./Image');
+const productConfig = require('../config/products');
+
+// Purchasable combination of option values, e.g. { Size: 'M', Colour: 'Red' }
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true
+  },
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Variant quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  images: [imageSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const productSchema = new mongoose.Schema({
+  // Seller's own stock-keeping code, used to upsert on bulk import
+  sku: {
+    type: String,
+    trim: true
+  },
   productName: {
     type: String,
     required: [true, 'Product name is required'],
@@ -21,22 +58,17 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Quantity is required'],
     min: [0, 'Quantity cannot be negative']
   },
+  // Slug of the category, kept alongside categoryId for display and facets
   category: {
     type: String,
     required: [true, 'Category is required']
   },
-  images: [
-    {
-      url: {
-        type: String,
-        required: true
-      },
-      public_id: {
-        type: String,
-        required: true
-      }
-    }
-  ],
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    index: true
+  },
+  images: [imageSchema],
   seller: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -58,9 +90,77 @@ const productSchema = new mongoose.Schema({
       type: Number,
       default: 0
     }
+  },
+  salesCount: {
+    type: Number,
+    default: 0
+  },
+  // Option types the variants are built from, e.g. [{ name: 'Size', values: ['S', 'M'] }]
+  optionTypes: [
+    {
+      _id: false,
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      values: [String]
+    }
+  ],
+  variants: [variantSchema],
+  // Set when the product is archived (soft deleted). Archived products stay
+  // for order history until purged.
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// With variants, product quantity is the total stock across them
+productSchema.pre('validate', function () {
+  if (this.variants && this.variants.length > 0) {
+    this.quantity = this.variants.reduce((sum, variant) => sum + variant.quantity, 0);
+  }
+});
+
+productSchema.methods.hasVariants = function () {
+  return this.variants && this.variants.length > 0;
+};
+
+// Price of one unit, taking the variant override into account
+productSchema.methods.getUnitPrice = function (variant) {
+  return variant && variant.price !== null && variant.price !== undefined
+    ? variant.price
+    : this.price;
+};
+
+productSchema.methods.isArchived = function () {
+  return Boolean(this.deletedAt);
+};
+
+// Last moment an archived product can be restored
+productSchema.methods.restorableUntil = function () {
+  if (!this.deletedAt) return null;
+  return new Date(this.deletedAt.getTime() + productConfig.restoreWindowDays * 24 * 60 * 60 * 1000);
+};
+
+// Full-text search, product name weighted above description
+productSchema.index(
+  { productName: 'text', description: 'text' },
+  { weights: { productName: 10, description: 2 }, name: 'product_text_search' }
+);
+productSchema.index({ status: 1, category: 1, price: 1 });
+productSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+productSchema.index(
+  { seller: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Product', productSchema);
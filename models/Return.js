@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { statusHistorySchema } = require('./StatusHistory');
+const returnConfig = require('../config/returns');
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in Order.items
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  reason: {
+    type: String,
+    enum: returnConfig.reasons,
+    required: [true, 'Return reason is required']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    default: ''
+  },
+  // Set on inspection
+  acceptedQuantity: {
+    type: Number,
+    default: null
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Return merchandise authorisation (RMA) for items of a delivered order
+const returnSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [(items) => items.length > 0, 'At least one item is required']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'inspected', 'refunded'],
+    default: 'requested'
+  },
+  statusHistory: [statusHistorySchema],
+  // Calculated on inspection from the accepted quantities
+  refundAmount: {
+    type: Number,
+    default: null
+  },
+  // _id of the refund in Order.refunds
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+returnSchema.index({ status: 1, createdAt: -1 });
+returnSchema.index({ 'items.productId': 1 });
+
+module.exports = mongoose.model('Return', returnSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One entry per status change, oldest first (orders and returns)
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  // Null for changes made by the system
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  role: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+module.exports = { statusHistorySchema };
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Registry entry for an uploaded image and its stored files
+const uploadSchema = new mongoose.Schema({
+  // Public id of the main file, as stored on the owning document
+  public_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: String,
+  // Every stored file still to be deleted (main file and variants)
+  files: [String],
+  // Null for anonymous uploads (registration profile photos)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  folder: String,
+  status: {
+    type: String,
+    enum: ['pending', 'attached', 'deleting', 'failed'],
+    default: 'pending'
+  },
+  attachedTo: {
+    kind: {
+      type: String,
+      enum: ['Product', 'User', 'Review']
+    },
+    item: mongoose.Schema.Types.ObjectId
+  },
+  attachedAt: Date,
+  deleteAttempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+// Sweeper lookups
+uploadSchema.index({ status: 1, createdAt: 1 });
+uploadSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('Upload', uploadSchema);
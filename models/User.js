@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { addressSchema } = require('./Address');
+const { imageSchema } = require('./Image');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -11,6 +14,7 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Address is required']
   },
+  addresses: [addressSchema],
   email: {
     type: String,
     required: [true, 'Email is required'],
@@ -29,13 +33,35 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Date of birth is required']
   },
   profilePhoto: {
-    type: String,
-    default: ''
+    type: imageSchema,
+    default: null
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    enum: ROLES,
+    default: 'buyer'
+  },
+  sellerProfile: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'approved', 'rejected'],
+      default: 'none'
+    },
+    storeName: {
+      type: String,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    appliedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectionReason: String
   },
   status: {
     type: String,
@@ -46,9 +72,31 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
   otp: {
-    code: String,
-    expiresAt: Date
+    codeHash: String,
+    purpose: {
+      type: String,
+      enum: ['email_verification', 'password_reset', 'email_change']
+    },
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  otpThrottle: {
+    windowStartedAt: Date,
+    sendCount: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: Date
   },
   password: {
     type: String,
@@ -56,6 +104,58 @@ const userSchema = new mongoose.Schema({
     minlength: 6,
     select: false
   },
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      default: -1
+    },
+    enabledAt: Date,
+    // Failed codes at login (separate from loginSecurity, which a correct
+    // password resets)
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    // jti of the only two-factor login token that may still be used
+    loginTokenId: {
+      type: String,
+      default: null,
+      select: false
+    }
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   cart: [
     {
       productId: {
@@ -63,6 +163,11 @@ const userSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
       },
+      // Set for products with variants
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
       quantity: {
         type: Number,
         required: true,
@@ -1,18 +1,47 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middlewares/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+const addressController = require('../controllers/addressController');
+const { authenticate, allowTwoFactorSetup, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const upload = require('../middlewares/multer');
+const { authIpLimiter, accountLimiter, uploadIpLimiter } = require('../middlewares/rateLimiter');
 
 // Public routes
-router.post('/upload-image', upload.single('image'), authController.uploadImage);
-router.post('/register', authController.register);
-router.post('/login', authController.login);
-router.post('/verify-otp', authController.verifyOTP);
-router.post('/resend-otp', authController.resendOTP);
+router.post('/upload-image', uploadIpLimiter, upload.single('image'), authController.uploadImage);
+router.post('/register', authIpLimiter, accountLimiter, authController.register);
+router.post('/login', authIpLimiter, accountLimiter, authController.login);
+router.post('/login/2fa', authIpLimiter, twoFactorController.verifyLogin);
+router.post('/verify-otp', authIpLimiter, authController.verifyOTP);
+router.post('/resend-otp', authIpLimiter, accountLimiter, authController.resendOTP);
+router.post('/refresh', authController.refreshToken);
+router.post('/logout', authController.logout);
+router.post('/forgot-password', authIpLimiter, accountLimiter, authController.forgotPassword);
+router.post('/reset-password', authIpLimiter, accountLimiter, authController.resetPassword);
 
 // Protected routes
-router.get('/profile', authenticate, authController.getProfile);
+router.post('/logout-all', allowTwoFactorSetup, authenticate, authController.logoutAll);
+router.get('/profile', allowTwoFactorSetup, authenticate, authController.getProfile);
 router.put('/update-profile', authenticate, upload.single('profilePhoto'), authController.updateProfile);
+router.put('/change-password', authenticate, authController.changePassword);
+router.post('/change-email', authenticate, authController.requestEmailChange);
+router.post('/change-email/verify', authenticate, authController.verifyEmailChange);
+router.delete('/account', authenticate, authController.deleteAccount);
+router.get('/export', authenticate, authController.exportData);
+router.post('/seller/apply', authenticate, requirePermission(PERMISSIONS.SELLER_APPLY), authController.applyForSeller);
+
+// Address book
+router.get('/addresses', authenticate, addressController.getAddresses);
+router.post('/addresses', authenticate, addressController.addAddress);
+router.put('/addresses/:addressId', authenticate, addressController.updateAddress);
+router.put('/addresses/:addressId/default', authenticate, addressController.setDefault);
+router.delete('/addresses/:addressId', authenticate, addressController.deleteAddress);
+
+// Two-factor authentication
+router.post('/2fa/setup', allowTwoFactorSetup, authenticate, twoFactorController.setup);
+router.post('/2fa/enable', allowTwoFactorSetup, authenticate, twoFactorController.enable);
+router.post('/2fa/disable', authenticate, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticate, twoFactorController.regenerateRecoveryCodes);
 
 module.exports = router;
@@ -1,16 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const cartController = require('../controllers/cartController');
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const canManageCart = requirePermission(PERMISSIONS.CART_MANAGE);
+const canReadOwnOrders = requirePermission(PERMISSIONS.ORDERS_READ_OWN);
 
 // Protected routes (require authentication)
-router.post('/add', authenticate, cartController.addToCart);
-router.get('/', authenticate, cartController.getCart);
-router.delete('/remove/:productId', authenticate, cartController.removeFromCart);
-router.put('/update/:productId', authenticate, cartController.updateCartQuantity);
-router.delete('/clear', authenticate, cartController.clearCart);
-router.post('/checkout', authenticate, cartController.checkout);
-router.get('/orders', authenticate, cartController.getOrders);
-router.get('/orders/:orderId', authenticate, cartController.getOrderById);
+router.post('/add', authenticate, canManageCart, cartController.addToCart);
+router.get('/', authenticate, canManageCart, cartController.getCart);
+router.delete('/remove/:productId', authenticate, canManageCart, cartController.removeFromCart);
+router.put('/update/:productId', authenticate, canManageCart, cartController.updateCartQuantity);
+router.delete('/clear', authenticate, canManageCart, cartController.clearCart);
+router.post('/checkout', authenticate, requirePermission(PERMISSIONS.ORDERS_PLACE), cartController.checkout);
+router.get('/orders', authenticate, canReadOwnOrders, cartController.getOrders);
+router.get('/orders/:orderId', authenticate, canReadOwnOrders, cartController.getOrderById);
+router.post('/orders/:orderId/cancel', authenticate, requirePermission(PERMISSIONS.ORDERS_PLACE), cartController.cancelOrder);
 
 module.exports = router;
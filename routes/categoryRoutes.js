@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const canManageCategories = requirePermission(PERMISSIONS.CATEGORIES_MANAGE);
+
+// Public routes
+router.get('/', categoryController.getCategories);
+router.get('/tree', categoryController.getCategoryTree);
+
+// Admin routes
+router.post('/', authenticate, canManageCategories, categoryController.createCategory);
+router.put('/:categoryId', authenticate, canManageCategories, categoryController.updateCategory);
+router.delete('/:categoryId', authenticate, canManageCategories, categoryController.deleteCategory);
+
+module.exports = router;
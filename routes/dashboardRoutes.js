@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboardController');
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Protected routes (require authentication)
 router.get('/stats', authenticate, dashboardController.getDashboardStats);
-router.get('/recent-orders', authenticate, dashboardController.getRecentOrders);
-router.get('/all-users', authenticate, dashboardController.getAllUsers);
-router.put('/update-user-status', authenticate, dashboardController.updateUserStatus);
+router.get('/recent-orders', authenticate, requirePermission(PERMISSIONS.ORDERS_READ_ANY), dashboardController.getRecentOrders);
+router.get('/all-users', authenticate, requirePermission(PERMISSIONS.USERS_READ), dashboardController.getAllUsers);
+router.put('/update-user-status', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), dashboardController.updateUserStatus);
+router.put('/users/:userId/role', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), dashboardController.updateUserRole);
+router.post('/users/:userId/force-verification', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), dashboardController.forceReverification);
+router.get('/users/:userId/export', authenticate, requirePermission(PERMISSIONS.USERS_EXPORT), dashboardController.exportUserData);
+
+// Seller onboarding
+router.get('/seller-applications', authenticate, requirePermission(PERMISSIONS.SELLERS_APPROVE), dashboardController.getSellerApplications);
+router.put('/seller-applications/:userId', authenticate, requirePermission(PERMISSIONS.SELLERS_APPROVE), dashboardController.reviewSellerApplication);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/orderController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const canFulfilOrders = requirePermission(
+  PERMISSIONS.ORDERS_FULFIL_OWN,
+  PERMISSIONS.ORDERS_MANAGE_ANY
+);
+
+// Fulfilment (buyers read their orders through /api/cart/orders)
+router.get('/manage', authenticate, canFulfilOrders, orderController.getFulfilmentOrders);
+router.put('/:orderId/status', authenticate, canFulfilOrders, orderController.updateOrderStatus);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const canPlaceOrders = requirePermission(PERMISSIONS.ORDERS_PLACE);
+
+// Buyers
+router.post('/orders/:orderId/intent', authenticate, canPlaceOrders, paymentController.createPaymentIntent);
+router.post('/orders/:orderId/simulate', authenticate, canPlaceOrders, paymentController.simulateMockPayment);
+
+// Admins
+router.post('/orders/:orderId/capture', authenticate, requirePermission(PERMISSIONS.ORDERS_MANAGE_ANY), paymentController.capturePayment);
+
+// Payment providers (authenticated by webhook signature)
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+module.exports = router;
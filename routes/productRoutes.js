@@ -1,19 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const upload = require('../middlewares/multer');
+const dataFileUpload = require('../middlewares/dataFileUpload');
+
+const canManageProducts = requirePermission(
+  PERMISSIONS.PRODUCTS_MANAGE_OWN,
+  PERMISSIONS.PRODUCTS_MANAGE_ANY
+);
 
 // Public routes
 router.get('/all', productController.getAllProducts);
 router.get('/category/:category', productController.getProductsByCategory);
-router.get('/:productId', productController.getProductById);
 
 // Protected routes (require authentication)
-router.post('/upload-images', authenticate, upload.array('images', 5), productController.uploadProductImages);
-router.post('/create', authenticate, productController.createProduct);
-router.get('/my-products', authenticate, productController.getUserProducts);
-router.put('/:productId', authenticate, productController.updateProduct);
-router.delete('/:productId', authenticate, productController.deleteProduct);
+router.get('/my-products', authenticate, canManageProducts, productController.getUserProducts);
+router.post('/upload-images', authenticate, requirePermission(PERMISSIONS.PRODUCTS_CREATE), upload.array('images', 5), productController.uploadProductImages);
+router.post('/create', authenticate, requirePermission(PERMISSIONS.PRODUCTS_CREATE), productController.createProduct);
+
+// Bulk import / export (before /:productId)
+router.post('/import', authenticate, requirePermission(PERMISSIONS.PRODUCTS_CREATE), dataFileUpload.single('file'), productController.importProducts);
+router.get('/import/:jobId', authenticate, canManageProducts, productController.getImportJob);
+router.get('/export', authenticate, canManageProducts, productController.exportProducts);
+
+// Permanently delete archived products (admin)
+router.post('/purge', authenticate, requirePermission(PERMISSIONS.PRODUCTS_PURGE), productController.purgeProducts);
+
+router.put('/:productId', authenticate, canManageProducts, productController.updateProduct);
+router.delete('/:productId', authenticate, canManageProducts, productController.deleteProduct);
+router.post('/:productId/restore', authenticate, canManageProducts, productController.restoreProduct);
+
+// Public product details (after /my-products so it doesn't capture that path)
+router.get('/:productId', productController.getProductById);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const returnController = require('../controllers/returnController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const canReadOwnOrders = requirePermission(PERMISSIONS.ORDERS_READ_OWN);
+const canManageReturns = requirePermission(
+  PERMISSIONS.ORDERS_FULFIL_OWN,
+  PERMISSIONS.ORDERS_MANAGE_ANY
+);
+
+// Buyers
+router.post('/', authenticate, requirePermission(PERMISSIONS.ORDERS_PLACE), returnController.createReturn);
+router.get('/mine', authenticate, canReadOwnOrders, returnController.getMyReturns);
+
+// Sellers and admins
+router.get('/manage', authenticate, canManageReturns, returnController.getReturnsToManage);
+router.put('/:returnId/status', authenticate, canManageReturns, returnController.updateReturnStatus);
+router.post('/:returnId/inspect', authenticate, canManageReturns, returnController.inspectReturn);
+router.post('/:returnId/refund', authenticate, canManageReturns, returnController.refundReturn);
+
+// Buyer or manager (after /mine and /manage so it doesn't capture those paths)
+router.get('/:returnId', authenticate, returnController.getReturnById);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const { authenticate, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const upload = require('../middlewares/multer');
+
+const canWriteReviews = requirePermission(PERMISSIONS.REVIEWS_WRITE);
+const canModerateReviews = requirePermission(PERMISSIONS.REVIEWS_MODERATE);
+
+// Public routes
+router.get('/product/:productId', reviewController.getProductReviews);
+
+// Protected routes (require authentication)
+router.post('/upload-images', authenticate, canWriteReviews, upload.array('images', 5), reviewController.uploadReviewImages);
+router.post('/product/:productId', authenticate, canWriteReviews, reviewController.createReview);
+router.get('/moderation', authenticate, canModerateReviews, reviewController.getReviewsForModeration);
+router.put('/:reviewId', authenticate, canWriteReviews, reviewController.updateReview);
+router.delete('/:reviewId', authenticate, reviewController.deleteReview);
+router.post('/:reviewId/reply', authenticate, requirePermission(PERMISSIONS.PRODUCTS_MANAGE_OWN), reviewController.replyToReview);
+router.post('/:reviewId/helpful', authenticate, reviewController.toggleHelpfulVote);
+router.put('/:reviewId/moderate', authenticate, canModerateReviews, reviewController.moderateReview);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+// One-off migration from free-text product categories to the Category model.
+// Case/spelling variants with the same slug ("Electronics", "electronics") are
+// merged; other variants can be merged with an aliases file mapping slug to
+// target slug, e.g. { "electronic": "electronics" }.
+// Usage: npm run migrate:categories -- [aliases.json]
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const slugify = require('../utils/slugify');
+
+const migrate = async () => {
+  const aliases = process.argv[2]
+    ? JSON.parse(fs.readFileSync(process.argv[2], 'utf8'))
+    : {};
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const names = await Product.distinct('category', { categoryId: null });
+  let migrated = 0;
+
+  for (const name of names) {
+    const slug = aliases[slugify(name)] || slugify(name);
+    if (!slug) {
+      console.warn(`Skipping category "${name}" - no usable slug`);
+      continue;
+    }
+
+    const category = await Category.findOneAndUpdate(
+      { slug },
+      { $setOnInsert: { name, slug } },
+      { upsert: true, new: true }
+    );
+
+    const result = await Product.updateMany(
+      { category: name, categoryId: null },
+      { category: category.slug, categoryId: category._id }
+    );
+    migrated += result.modifiedCount;
+  }
+
+  console.log(`Migrated ${migrated} products into ${await Category.countDocuments()} categories`);
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error('Category migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+// One-off migration of profile photos stored as a plain URL string.
+// Each photo is downloaded and run through the image pipeline so it gets the
+// same { url, public_id, variants } shape as new uploads. Photos that fail to
+// download are left as they are, so the script can be run again.
+// Usage: npm run migrate:profile-photos
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const imageService = require('../services/imageService');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Empty strings were the old default
+  const cleared = await User.collection.updateMany(
+    { profilePhoto: '' },
+    { $set: { profilePhoto: null } }
+  );
+
+  let migrated = 0;
+  let failed = 0;
+  const cursor = User.collection.find(
+    { profilePhoto: { $type: 'string' } },
+    { projection: { profilePhoto: 1 } }
+  );
+
+  for await (const user of cursor) {
+    let image;
+    try {
+      image = await imageService.storeImageFromUrl(user.profilePhoto, {
+        folder: 'payplex/profile-photos'
+      });
+      migrated++;
+    } catch (error) {
+      // Keep the old URL so a later run can retry it
+      console.error(`User ${user._id}: could not migrate ${user.profilePhoto}: ${error.message}`);
+      failed++;
+      continue;
+    }
+
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $set: { profilePhoto: image } }
+    );
+  }
+
+  console.log(`Cleared ${cleared.modifiedCount} empty photos, migrated ${migrated}, failed ${failed}`);
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error('Profile photo migration failed:', error);
+  process.exit(1);
+});
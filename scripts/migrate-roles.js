@@ -0,0 +1,31 @@
+// One-off migration from the legacy "user" role.
+// Users who already list products become approved sellers, everyone else a buyer.
+// Usage: npm run migrate:roles
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Product = require('../models/Product');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const sellerIds = await Product.distinct('seller');
+
+  const sellers = await User.updateMany(
+    { role: 'user', _id: { $in: sellerIds } },
+    {
+      role: 'seller',
+      sellerProfile: { status: 'approved', reviewedAt: new Date() }
+    }
+  );
+
+  const buyers = await User.updateMany({ role: 'user' }, { role: 'buyer' });
+
+  console.log(`Migrated ${sellers.modifiedCount} sellers and ${buyers.modifiedCount} buyers`);
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error('Role migration failed:', error);
+  process.exit(1);
+});
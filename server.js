@@ -7,23 +7,55 @@ const authRoutes = require('./routes/authRoutes');
 const productRoutes = require('./routes/productRoutes');
 const cartRoutes = require('./routes/cartRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const storage = require('./services/storage');
+const uploadService = require('./services/uploadService');
+const productImportService = require('./services/productImportService');
 
 const app = express();
 
+// Needed behind a load balancer so rate limits see the client IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // Connect to MongoDB
 connectDB();
 
 // Middleware
 app.use(helmet());
 app.use(cors());
+// Webhook signatures are checked against the raw body, so parse it before express.json
+app.use('/api/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
+// Serve uploaded files when using the local storage driver
+const storageDriver = storage.getDriver();
+if (storageDriver.name === 'local') {
+  app.use(storageDriver.urlPath, express.static(storageDriver.root, {
+    index: false,
+    setHeaders: (res) => {
+      // Allow the frontend (another origin) to embed the images
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -45,3 +77,11 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
+
+// Delete abandoned uploads and retry failed deletions
+uploadService.startSweeper();
+
+// Mark imports interrupted by the previous shutdown as failed
+productImportService.failStaleJobs().catch((error) => {
+  console.error('Failed to clean up interrupted imports:', error);
+});
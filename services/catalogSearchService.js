@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const categoryService = require("./categoryService");
+
+const DEFAULT_PRICE_BUCKETS = "25,50,100,250,500,1000";
+
+const parsePriceBuckets = (value) => [
+  ...new Set(
+    value
+      .split(",")
+      .map(Number)
+      .filter((boundary) => Number.isFinite(boundary) && boundary > 0),
+  ),
+];
+
+// Price facet bucket boundaries; prices above the last one share an open-ended bucket.
+// $bucket needs at least two strictly ascending boundaries, so sort, drop
+// duplicates and use the defaults if the setting has no usable values.
+const configuredBuckets = parsePriceBuckets(process.env.PRICE_FACET_BUCKETS || "");
+const PRICE_BUCKET_BOUNDARIES = [
+  0,
+  ...(configuredBuckets.length > 0
+    ? configuredBuckets
+    : parsePriceBuckets(DEFAULT_PRICE_BUCKETS)),
+].sort((a, b) => a - b);
+
+// Each sort ends on _id so ties keep a stable order across pages
+const SORT_OPTIONS = {
+  // score is added from the text search metadata before $facet
+  relevance: { score: -1, createdAt: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { price: 1, createdAt: -1, _id: -1 },
+  price_desc: { price: -1, createdAt: -1, _id: -1 },
+  rating: { "ratings.average": -1, "ratings.count": -1, _id: -1 },
+  popularity: { salesCount: -1, "ratings.count": -1, _id: -1 },
+};
+
+const SELLER_FIELDS = { name: 1, email: 1, contactNumber: 1, profilePhoto: 1 };
+
+// Repeated query params (?search=a&search=b) arrive as arrays; only plain strings are used
+const toQueryString = (value) => (typeof value === "string" ? value : undefined);
+
+const toNumber = (value) => {
+  value = toQueryString(value);
+  if (value === undefined || value === "") return undefined;
+  const number = parseFloat(value);
+  return isNaN(number) ? undefined : number;
+};
+
+// Build the filters that can be toggled from the storefront sidebar.
+// Each is kept separate so a facet can ignore its own filter.
+const buildFilters = ({ minPrice, maxPrice, inStock, seller, minRating }) => {
+  const filters = {};
+
+  const min = toNumber(minPrice);
+  const max = toNumber(maxPrice);
+  if (min !== undefined || max !== undefined) {
+    filters.price = { price: {} };
+    if (min !== undefined) filters.price.price.$gte = min;
+    if (max !== undefined) filters.price.price.$lte = max;
+  }
+
+  if (inStock === "true") {
+    filters.stock = { quantity: { $gt: 0 } };
+  }
+
+  if (typeof seller === "string" && mongoose.isValidObjectId(seller)) {
+    filters.seller = { seller: new mongoose.Types.ObjectId(seller) };
+  }
+
+  const rating = toNumber(minRating);
+  if (rating !== undefined) {
+    filters.rating = { "ratings.average": { $gte: rating } };
+  }
+
+  return filters;
+};
+
+// Combine filters, optionally leaving one out
+const combineFilters = (filters, except) => {
+  const conditions = Object.entries(filters)
+    .filter(([name]) => name !== except)
+    .map(([, condition]) => condition);
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Price range of a bucket produced by $bucket (keyed by its lower bound)
+const formatPriceBucket = ({ _id, count }) => {
+  if (_id === "other") {
+    return { min: PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1], max: null, count };
+  }
+  return { min: _id, max: PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.indexOf(_id) + 1], count };
+};
+
+// Search active products. Returns { products, total, facets }.
+exports.searchProducts = async (query, { page, limit }) => {
+  const search = toQueryString(query.search);
+  const categoryParam = toQueryString(query.category);
+  const filters = buildFilters(query);
+
+  // A category filter includes its subcategories
+  if (categoryParam) {
+    const category = await categoryService.resolveCategory(categoryParam);
+    filters.category = {
+      categoryId: { $in: category ? await categoryService.getSubtreeIds(category) : [] },
+    };
+  }
+
+  // $text must be in the first stage of the pipeline
+  const baseMatch = { status: "active", deletedAt: null };
+  if (search) {
+    baseMatch.$text = { $search: search };
+  }
+
+  let sortKey = Object.hasOwn(SORT_OPTIONS, toQueryString(query.sort) ?? "")
+    ? query.sort
+    : "relevance";
+  // Relevance needs a text search to rank by
+  if (sortKey === "relevance" && !search) {
+    sortKey = "newest";
+  }
+  const sort = SORT_OPTIONS[sortKey];
+
+  const [result] = await Product.aggregate([
+    { $match: baseMatch },
+    ...(search ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    {
+      $facet: {
+        products: [
+          { $match: combineFilters(filters) },
+          { $sort: sort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: User.collection.name,
+              localField: "seller",
+              foreignField: "_id",
+              pipeline: [{ $project: SELLER_FIELDS }],
+              as: "seller",
+            },
+          },
+          { $unwind: { path: "$seller", preserveNullAndEmptyArrays: true } },
+        ],
+        total: [{ $match: combineFilters(filters) }, { $count: "count" }],
+        categories: [
+          { $match: combineFilters(filters, "category") },
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        priceBuckets: [
+          { $match: combineFilters(filters, "price") },
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: PRICE_BUCKET_BOUNDARIES,
+              default: "other",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    products: result.products,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    sort: sortKey,
+    facets: {
+      categories: result.categories.map(({ _id, count }) => ({ category: _id, count })),
+      priceBuckets: result.priceBuckets.map(formatPriceBucket),
+    },
+  };
+};
+
+exports.SORT_OPTIONS = Object.keys(SORT_OPTIONS);
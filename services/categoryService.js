@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const slugify = require("../utils/slugify");
+
+// Find an active category by id, slug or name. Returns null if none matches.
+exports.resolveCategory = async (value) => {
+  if (!value) return null;
+
+  if (mongoose.isValidObjectId(value)) {
+    const byId = await Category.findOne({ _id: value, isActive: true });
+    if (byId) return byId;
+  }
+
+  return Category.findOne({ slug: slugify(value), isActive: true });
+};
+
+// Ids of a category and all its active subcategories
+// (a subcategory under an inactive one is left out as well)
+exports.getSubtreeIds = async (category) => {
+  const descendants = await Category.find({ ancestors: category._id }).select(
+    "_id ancestors isActive",
+  );
+
+  const inactiveIds = new Set(
+    descendants
+      .filter((descendant) => !descendant.isActive)
+      .map((descendant) => descendant._id.toString()),
+  );
+
+  const activeIds = descendants
+    .filter(
+      (descendant) =>
+        descendant.isActive &&
+        !descendant.ancestors.some((id) => inactiveIds.has(id.toString())),
+    )
+    .map((descendant) => descendant._id);
+
+  return [category._id, ...activeIds];
+};
+
+// Nest a flat category list into a tree ordered by sortOrder then name.
+// Categories whose parent isn't in the list are dropped with their subtree.
+exports.buildTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...category, children: [] },
+    ]),
+  );
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    if (!node.parent) {
+      roots.push(node);
+      continue;
+    }
+
+    const parent = nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    }
+  }
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+    list.forEach((node) => sortNodes(node.children));
+    return list;
+  };
+
+  return sortNodes(roots);
+};
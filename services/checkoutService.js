@@ -0,0 +1,222 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const { formatAddress } = require("../models/Address");
+const variantService = require("./variantService");
+const sequenceService = require("./sequenceService");
+
+class CheckoutError extends Error {
+  constructor(message, status = 400, lines = []) {
+    super(message);
+    this.name = "CheckoutError";
+    this.status = status;
+    // Per-line problems: { productId, variantId, productName, requested, available, reason, message }
+    this.lines = lines;
+  }
+}
+
+const lineLabel = (product, variant) =>
+  variant
+    ? `${product.productName} (${variantService.describeVariant(variant)})`
+    : product.productName;
+
+// Check every cart line against current stock. Returns { lines, problems }.
+const validateCart = async (cart, session) => {
+  const lines = [];
+  const problems = [];
+
+  for (const cartItem of cart) {
+    const problem = {
+      productId: cartItem.productId,
+      variantId: cartItem.variantId || null,
+      requested: cartItem.quantity,
+    };
+
+    const product = await Product.findById(cartItem.productId).session(session);
+    if (!product || product.isArchived()) {
+      problems.push({
+        ...problem,
+        productName: product ? product.productName : null,
+        available: 0,
+        reason: "unavailable",
+        message: "This product is no longer available",
+      });
+      continue;
+    }
+
+    const { variant, error: variantError } = variantService.resolveVariant(
+      product,
+      cartItem.variantId,
+    );
+    if (variantError) {
+      problems.push({
+        ...problem,
+        productName: product.productName,
+        available: 0,
+        reason: "variant_unavailable",
+        message: variantError,
+      });
+      continue;
+    }
+
+    const available = variant ? variant.quantity : product.quantity;
+    if (available < cartItem.quantity) {
+      problems.push({
+        ...problem,
+        productName: lineLabel(product, variant),
+        available,
+        reason: "insufficient_stock",
+        message: `Insufficient stock for ${lineLabel(product, variant)}. Only ${available} available.`,
+      });
+      continue;
+    }
+
+    lines.push({ product, variant, quantity: cartItem.quantity });
+  }
+
+  return { lines, problems };
+};
+
+// Decrement stock only if enough is left. Returns false when another order got there first.
+const reserveStock = async ({ product, variant, quantity }, session) => {
+  const filter = variant
+    ? {
+        _id: product._id,
+        deletedAt: null,
+        variants: {
+          $elemMatch: { _id: variant._id, isActive: true, quantity: { $gte: quantity } },
+        },
+      }
+    : { _id: product._id, deletedAt: null, quantity: { $gte: quantity } };
+
+  const update = variant
+    ? { $inc: { "variants.$.quantity": -quantity, quantity: -quantity, salesCount: quantity } }
+    : { $inc: { quantity: -quantity, salesCount: quantity } };
+
+  const result = await Product.updateOne(filter, update, { session });
+  return result.modifiedCount === 1;
+};
+
+const placeOrderInSession = async (userId, { addressId }, session) => {
+  const user = await User.findById(userId).session(session);
+  if (!user) {
+    throw new CheckoutError("User not found", 404);
+  }
+
+  if (user.cart.length === 0) {
+    throw new CheckoutError("Cart is empty");
+  }
+
+  // Resolve shipping address: requested one, else default from address book
+  let shippingAddressDetails = null;
+  if (addressId) {
+    shippingAddressDetails = user.addresses.id(addressId);
+    if (!shippingAddressDetails) {
+      throw new CheckoutError("Shipping address not found", 404);
+    }
+  } else {
+    shippingAddressDetails =
+      user.addresses.find((address) => address.isDefault) || null;
+  }
+
+  // Validate stock for all items (per variant where the product has them)
+  const { lines, problems } = await validateCart(user.cart, session);
+  if (problems.length > 0) {
+    throw new CheckoutError("Some items in your cart can't be ordered", 400, problems);
+  }
+
+  // Reserve stock; any line that lost a race fails the whole order
+  for (const line of lines) {
+    if (!(await reserveStock(line, session))) {
+      const { product, variant, quantity } = line;
+      const current = await Product.findById(product._id).session(session);
+      const currentVariant = variant && current ? current.variants.id(variant._id) : null;
+      problems.push({
+        productId: product._id,
+        variantId: variant ? variant._id : null,
+        productName: lineLabel(product, variant),
+        requested: quantity,
+        available: (variant ? currentVariant?.quantity : current?.quantity) ?? 0,
+        reason: "insufficient_stock",
+        message: `Insufficient stock for ${lineLabel(product, variant)}.`,
+      });
+    }
+  }
+  if (problems.length > 0) {
+    throw new CheckoutError("Some items in your cart can't be ordered", 409, problems);
+  }
+
+  // Create order items array
+  const orderItems = lines.map(({ product, variant, quantity }) => {
+    const price = product.getUnitPrice(variant);
+    return {
+      productId: product._id,
+      productName: product.productName,
+      variantId: variant ? variant._id : null,
+      sku: variant ? variant.sku : null,
+      variantOptions: variant ? variant.options : undefined,
+      price,
+      quantity,
+      subtotal: price * quantity,
+    };
+  });
+
+  // Calculate totals
+  const subtotal = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
+  const tax = Math.round(subtotal * 0.1 * 100) / 100; // 10% tax
+  const total = Math.round((subtotal + tax) * 100) / 100;
+
+  // Next order number (outside the transaction so concurrent checkouts don't
+  // conflict on the counter; an aborted checkout leaves a gap)
+  const orderId = await sequenceService.next("order");
+
+  // Create order
+  const order = new Order({
+    userId,
+    orderId,
+    items: orderItems,
+    subtotal: Math.round(subtotal * 100) / 100,
+    tax,
+    total,
+    // Snapshot the address so later address book edits don't change the order
+    shippingAddress: shippingAddressDetails
+      ? formatAddress(shippingAddressDetails)
+      : user.address,
+    shippingAddressDetails: shippingAddressDetails
+      ? shippingAddressDetails.toObject()
+      : null,
+    status: "pending",
+    paymentStatus: "pending",
+    statusHistory: [
+      { status: "pending", changedBy: user._id, role: user.role, note: "Order placed" },
+    ],
+  });
+
+  await order.save({ session });
+
+  // Clear user's cart
+  user.cart = [];
+  await user.save({ session });
+
+  return { order, user };
+};
+
+// Place an order from the user's cart. Stock reservation, order creation and
+// clearing the cart commit together or not at all (MongoDB transactions need a
+// replica set). Returns { order, user }. Throws CheckoutError.
+exports.placeOrder = async (userId, options = {}) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    // Retried automatically on transient errors such as write conflicts
+    await session.withTransaction(async () => {
+      result = await placeOrderInSession(userId, options, session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+exports.CheckoutError = CheckoutError;
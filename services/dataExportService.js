@@ -0,0 +1,108 @@
+const archiver = require("archiver");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const RefreshToken = require("../models/RefreshToken");
+
+// Collect everything stored about a user, one entry per collection.
+// Returns null if the user doesn't exist.
+const collectUserData = async (userId) => {
+  // A malformed id can't match any user
+  if (!mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+
+  const user = await User.findById(userId)
+    .populate("cart.productId", "productName price")
+    .lean();
+
+  if (!user) {
+    return null;
+  }
+
+  const [orders, products, sessions] = await Promise.all([
+    Order.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Product.find({ seller: userId }).sort({ createdAt: -1 }).lean(),
+    RefreshToken.find({ userId })
+      .select("createdAt expiresAt revokedAt createdByIp userAgent")
+      .lean(),
+  ]);
+
+  const { cart, ...profile } = user;
+  // Never include credentials or security state
+  delete profile.otp;
+  delete profile.otpThrottle;
+  delete profile.tokenVersion;
+  if (profile.twoFactor) {
+    profile.twoFactor = {
+      enabled: profile.twoFactor.enabled,
+      enabledAt: profile.twoFactor.enabledAt,
+    };
+  }
+
+  // Uploaded image references across the account
+  const images = [];
+  if (profile.profilePhoto) {
+    images.push({ source: "profilePhoto", image: profile.profilePhoto });
+  }
+  for (const product of products) {
+    for (const image of product.images || []) {
+      images.push({ source: "product", productId: product._id, image });
+    }
+  }
+
+  return {
+    profile,
+    cart: cart.map((item) => ({
+      productId: item.productId?._id || item.productId,
+      productName: item.productId?.productName || null,
+      price: item.productId?.price ?? null,
+      quantity: item.quantity,
+    })),
+    orders,
+    products,
+    sessions,
+    images,
+  };
+};
+
+// Send the user's data as a zip archive with one JSON file per collection.
+// Returns false (without writing to res) if the user doesn't exist.
+const sendUserExport = async (res, userId) => {
+  const data = await collectUserData(userId);
+  if (!data) {
+    return false;
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`payplex-export-${userId}-${date}.zip`);
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  // Without a listener an archive error would crash the process. The
+  // response is already streaming, so end it and let finalize() reject.
+  let archiveError = null;
+  archive.on("error", (error) => {
+    archiveError = error;
+    archive.unpipe(res);
+    res.destroy(error);
+  });
+  archive.on("warning", (warning) => console.warn("Data export warning:", warning));
+  archive.pipe(res);
+
+  archive.append(
+    JSON.stringify({ userId, exportedAt: new Date(), files: Object.keys(data) }, null, 2),
+    { name: "manifest.json" },
+  );
+  for (const [name, value] of Object.entries(data)) {
+    archive.append(JSON.stringify(value, null, 2), { name: `${name}.json` });
+  }
+
+  await archive.finalize();
+  if (archiveError) {
+    throw archiveError;
+  }
+  return true;
+};
+
+module.exports = { collectUserData, sendUserExport };
@@ -0,0 +1,204 @@
+const sharp = require("sharp");
+const imageConfig = require("../config/images");
+const storage = require("./storage");
+const { fetchRemoteFile, RemoteFetchError } = require("./remoteFileService");
+
+class ImageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ImageError";
+    this.status = status;
+  }
+}
+
+const CONTENT_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+};
+
+// Detect the image type from its magic bytes, ignoring name and MIME header
+const sniffImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpeg";
+  }
+  if (
+    buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return "png";
+  }
+  const header = buffer.toString("ascii", 0, 6);
+  if (header === "GIF87a" || header === "GIF89a") {
+    return "gif";
+  }
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  return null;
+};
+
+// Encode a sharp pipeline in the given format. Metadata (EXIF, GPS) is not
+// copied to the output because withMetadata() is never called.
+const encode = (pipeline, format) => {
+  const { quality } = imageConfig;
+  switch (format) {
+    case "jpeg":
+      return pipeline.jpeg({ quality, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+    case "png":
+      return pipeline.png({ compressionLevel: 9 }).toBuffer({ resolveWithObject: true });
+    case "gif":
+      return pipeline.gif().toBuffer({ resolveWithObject: true });
+    default:
+      return pipeline.webp({ quality }).toBuffer({ resolveWithObject: true });
+  }
+};
+
+const toOutput = ({ data, info }) => ({
+  buffer: data,
+  width: info.width,
+  // Animated output reports the height of all frames stacked
+  height: info.pageHeight || info.height,
+});
+
+// Validate an image and produce the cleaned original plus resized variants.
+// Returns [{ size, format, buffer, width, height }], original first.
+const processImage = async (buffer) => {
+  const format = sniffImageType(buffer);
+  if (!format) {
+    throw new ImageError("File is not a supported image (jpeg, png, gif, webp)", 415);
+  }
+
+  const { maxWidth, maxHeight, sizes } = imageConfig;
+  const animated = format === "gif" || format === "webp";
+  const load = () =>
+    sharp(buffer, {
+      animated,
+      limitInputPixels: maxWidth * maxHeight,
+      failOn: "error",
+    });
+
+  let metadata;
+  try {
+    metadata = await load().metadata();
+  } catch (error) {
+    throw new ImageError("Image file is corrupt or unreadable");
+  }
+
+  // Animated images report the height of all frames stacked
+  const height = metadata.pageHeight || metadata.height;
+  if (metadata.width > maxWidth || height > maxHeight) {
+    throw new ImageError(
+      `Image dimensions must not exceed ${maxWidth}x${maxHeight} pixels`,
+      413,
+    );
+  }
+
+  const outputs = [];
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const original = await encode(load().rotate(), format);
+  outputs.push({ size: "original", format, ...toOutput(original) });
+
+  for (const [size, edge] of Object.entries(sizes)) {
+    const resize = () =>
+      load()
+        .rotate()
+        .resize({ width: edge, height: edge, fit: "inside", withoutEnlargement: true });
+
+    outputs.push({ size, format, ...toOutput(await encode(resize(), format)) });
+    if (format !== "webp") {
+      outputs.push({ size, format: "webp", ...toOutput(await encode(resize(), "webp")) });
+    }
+  }
+
+  return outputs;
+};
+
+// Process an uploaded image and store every output. Returns an image object
+// matching models/Image.js.
+const storeImage = async (buffer, { folder }) => {
+  const outputs = await processImage(buffer);
+  const stored = [];
+
+  try {
+    for (const output of outputs) {
+      const result = await storage.put(output.buffer, {
+        folder,
+        contentType: CONTENT_TYPES[output.format],
+      });
+      stored.push({ ...output, ...result });
+    }
+  } catch (error) {
+    // Don't leave half an image behind
+    for (const file of stored) {
+      await storage.tryRemove(file.public_id);
+    }
+    throw error;
+  }
+
+  const [original, ...variants] = stored;
+  return {
+    url: original.url,
+    public_id: original.public_id,
+    width: original.width,
+    height: original.height,
+    format: original.format,
+    variants: variants.map(({ size, format, url, public_id, width, height }) => ({
+      size,
+      format,
+      url,
+      public_id,
+      width,
+      height,
+    })),
+  };
+};
+
+// Download an image from a URL and store it like an upload
+const storeImageFromUrl = async (url, { folder }) => {
+  let file;
+  try {
+    file = await fetchRemoteFile(url, {
+      maxBytes: imageConfig.maxDownloadBytes,
+      timeoutMs: imageConfig.downloadTimeoutMs,
+    });
+  } catch (error) {
+    if (error instanceof RemoteFetchError) {
+      throw new ImageError(error.message, error.status);
+    }
+    throw error;
+  }
+
+  return storeImage(file.buffer, { folder });
+};
+
+// Delete an image and all of its variants, logging failures
+const removeImage = async (image) => {
+  if (!image) return;
+  if (image.public_id) {
+    await storage.tryRemove(image.public_id);
+  }
+  for (const variant of image.variants || []) {
+    await storage.tryRemove(variant.public_id);
+  }
+};
+
+// Send an ImageError as a response
+const sendImageError = (res, error) => {
+  return res.status(error.status).json({ message: error.message });
+};
+
+module.exports = {
+  sniffImageType,
+  processImage,
+  storeImage,
+  storeImageFromUrl,
+  removeImage,
+  sendImageError,
+  ImageError,
+};
@@ -0,0 +1,175 @@
+const User = require("../models/User");
+const rateLimitConfig = require("../config/rateLimit");
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Delay required after the given number of consecutive failures
+const delaySecondsFor = (failedAttempts) => {
+  const extra = failedAttempts - rateLimitConfig.loginDelayAfterFailures;
+  if (extra < 0) return 0;
+
+  return Math.min(
+    rateLimitConfig.loginBaseDelaySeconds * 2 ** extra,
+    rateLimitConfig.loginMaxDelaySeconds,
+  );
+};
+
+// Check whether a login attempt is allowed right now.
+// Returns null when allowed, otherwise { status, code, message, retryAfter }.
+exports.checkLoginAllowed = (user) => {
+  const security = user.loginSecurity || {};
+  const now = new Date();
+
+  if (security.lockedUntil && security.lockedUntil > now) {
+    return {
+      status: 423,
+      code: "ACCOUNT_LOCKED",
+      message: "Account temporarily locked after too many failed login attempts",
+      retryAfter: secondsUntil(security.lockedUntil),
+    };
+  }
+
+  const delaySeconds = delaySecondsFor(security.failedAttempts || 0);
+  if (delaySeconds > 0 && security.lastFailedAt) {
+    const nextAttemptAt = new Date(
+      security.lastFailedAt.getTime() + delaySeconds * 1000,
+    );
+    if (nextAttemptAt > now) {
+      return {
+        status: 429,
+        code: "LOGIN_DELAYED",
+        message: "Too many failed login attempts, please wait before trying again",
+        retryAfter: secondsUntil(nextAttemptAt),
+      };
+    }
+  }
+
+  return null;
+};
+
+// Record a failed login, locking the account once the limit is reached.
+// Returns the same shape as checkLoginAllowed when the account just got locked.
+exports.recordFailedLogin = async (user) => {
+  const now = new Date();
+
+  // Atomic increment so parallel guesses are all counted
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    {
+      $inc: { "loginSecurity.failedAttempts": 1 },
+      $set: { "loginSecurity.lastFailedAt": now },
+    },
+    { new: true },
+  );
+
+  if (updated.loginSecurity.failedAttempts >= rateLimitConfig.loginMaxFailures) {
+    const lockedUntil = new Date(
+      now.getTime() + rateLimitConfig.loginLockMinutes * 60000,
+    );
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "loginSecurity.failedAttempts": 0,
+          "loginSecurity.lockedUntil": lockedUntil,
+        },
+      },
+    );
+
+    return {
+      status: 423,
+      code: "ACCOUNT_LOCKED",
+      message: "Account temporarily locked after too many failed login attempts",
+      retryAfter: secondsUntil(lockedUntil),
+    };
+  }
+
+  return null;
+};
+
+// Clear failure tracking after a successful login
+exports.resetFailedLogins = async (user) => {
+  if (!user.loginSecurity?.failedAttempts && !user.loginSecurity?.lockedUntil) {
+    return;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "loginSecurity.failedAttempts": 0,
+        "loginSecurity.lockedUntil": null,
+      },
+    },
+  );
+};
+
+// Check whether a two-factor code may be tried right now.
+// Returns null when allowed, otherwise { status, code, message, retryAfter }.
+exports.checkTwoFactorAllowed = (user) => {
+  const lockedUntil = user.twoFactor?.lockedUntil;
+  if (lockedUntil && lockedUntil > new Date()) {
+    return {
+      status: 423,
+      code: "TWO_FACTOR_LOCKED",
+      message: "Two-factor login temporarily locked after too many invalid codes",
+      retryAfter: secondsUntil(lockedUntil),
+    };
+  }
+  return null;
+};
+
+// Record an invalid two-factor code, locking two-factor login and discarding
+// the pending login token once the limit is reached. Returns the same shape
+// as checkTwoFactorAllowed when it just got locked.
+exports.recordFailedTwoFactor = async (user) => {
+  // Atomic increment so parallel guesses are all counted
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { "twoFactor.failedAttempts": 1 } },
+    { new: true },
+  );
+
+  if (updated.twoFactor.failedAttempts >= rateLimitConfig.twoFactorMaxFailures) {
+    const lockedUntil = new Date(
+      Date.now() + rateLimitConfig.twoFactorLockMinutes * 60000,
+    );
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.failedAttempts": 0,
+          "twoFactor.lockedUntil": lockedUntil,
+          "twoFactor.loginTokenId": null,
+        },
+      },
+    );
+
+    return {
+      status: 423,
+      code: "TWO_FACTOR_LOCKED",
+      message: "Two-factor login temporarily locked after too many invalid codes",
+      retryAfter: secondsUntil(lockedUntil),
+    };
+  }
+
+  return null;
+};
+
+// Clear two-factor failure tracking after a successful login
+exports.resetFailedTwoFactor = async (user) => {
+  if (!user.twoFactor?.failedAttempts && !user.twoFactor?.lockedUntil) {
+    return;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "twoFactor.failedAttempts": 0,
+        "twoFactor.lockedUntil": null,
+      },
+    },
+  );
+};
@@ -0,0 +1,52 @@
+const { createTransport } = require("./transports");
+const { renderTemplate, registerTemplate } = require("./templates");
+
+let transport = null;
+
+// Transport selected by MAIL_TRANSPORT (smtp, outbox, console), created on first use
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(process.env.MAIL_TRANSPORT || "smtp");
+  }
+  return transport;
+};
+
+// Replace the active transport (name or transport object)
+const setTransport = (nameOrTransport) => {
+  transport =
+    typeof nameOrTransport === "string"
+      ? createTransport(nameOrTransport)
+      : nameOrTransport;
+};
+
+// Render a template and send it
+const sendTemplate = async (templateName, to, data = {}) => {
+  const { subject, html, text } = renderTemplate(templateName, data);
+
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || process.env.EMAIL_USER,
+    to,
+    subject,
+    html,
+    text,
+  });
+};
+
+// Send a template, logging instead of throwing on failure. Returns true if sent.
+const trySendTemplate = async (templateName, to, data = {}) => {
+  try {
+    await sendTemplate(templateName, to, data);
+    return true;
+  } catch (error) {
+    console.error(`Error sending "${templateName}" email:`, error);
+    return false;
+  }
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendTemplate,
+  trySendTemplate,
+  registerTemplate,
+};
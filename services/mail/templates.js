@@ -0,0 +1,130 @@
+// Email template registry. Each template renders { subject, html, text }
+// from the data passed to the mail service.
+
+const templates = {};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+// Common HTML wrapper
+const layout = (heading, body) => `
+  <div style="font-family: Arial, sans-serif; padding: 20px;">
+    <h2>${escapeHtml(heading)}</h2>
+    ${body}
+  </div>
+`;
+
+// Register a template. Definitions provide subject/html/text functions of data.
+const registerTemplate = (name, definition) => {
+  if (!definition.subject || !definition.html || !definition.text) {
+    throw new Error(`Template "${name}" needs subject, html and text renderers`);
+  }
+  templates[name] = definition;
+};
+
+// Render a registered template
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  return {
+    subject: template.subject(data),
+    html: template.html(data),
+    text: template.text(data),
+  };
+};
+
+const OTP_HEADINGS = {
+  email_verification: "Email Verification",
+  password_reset: "Password Reset",
+  email_change: "Email Change",
+};
+
+registerTemplate("otp", {
+  subject: ({ purpose }) => `Your OTP for ${OTP_HEADINGS[purpose]}`,
+  html: ({ purpose, otp, expireMinutes }) =>
+    layout(
+      OTP_HEADINGS[purpose],
+      `
+    <p>Your One-Time Password (OTP) is:</p>
+    <h3 style="color: #007bff; font-size: 24px; letter-spacing: 2px;">${escapeHtml(otp)}</h3>
+    <p>This OTP will expire in ${escapeHtml(expireMinutes)} minutes.</p>
+    <p>If you didn't request this OTP, please ignore this email.</p>
+  `,
+    ),
+  text: ({ purpose, otp, expireMinutes }) =>
+    [
+      OTP_HEADINGS[purpose],
+      "",
+      `Your One-Time Password (OTP) is: ${otp}`,
+      `This OTP will expire in ${expireMinutes} minutes.`,
+      "If you didn't request this OTP, please ignore this email.",
+    ].join("\n"),
+});
+
+registerTemplate("orderConfirmation", {
+  subject: ({ order }) => `Order ${order.orderId} confirmed`,
+  html: ({ name, order }) =>
+    layout(
+      "Thank you for your order",
+      `
+    <p>Hi ${escapeHtml(name)}, we have received your order <strong>${escapeHtml(order.orderId)}</strong>.</p>
+    <table style="border-collapse: collapse;">
+      ${order.items
+        .map(
+          (item) => `
+      <tr>
+        <td style="padding: 4px 12px 4px 0;">${escapeHtml(item.productName)}</td>
+        <td style="padding: 4px 12px 4px 0;">x ${escapeHtml(item.quantity)}</td>
+        <td style="padding: 4px 0;">${formatAmount(item.subtotal)}</td>
+      </tr>`,
+        )
+        .join("")}
+    </table>
+    <p>Subtotal: ${formatAmount(order.subtotal)}<br />
+    Tax: ${formatAmount(order.tax)}<br />
+    <strong>Total: ${formatAmount(order.total)}</strong></p>
+  `,
+    ),
+  text: ({ name, order }) =>
+    [
+      `Hi ${name}, we have received your order ${order.orderId}.`,
+      "",
+      ...order.items.map(
+        (item) =>
+          `${item.productName} x ${item.quantity}: ${formatAmount(item.subtotal)}`,
+      ),
+      "",
+      `Subtotal: ${formatAmount(order.subtotal)}`,
+      `Tax: ${formatAmount(order.tax)}`,
+      `Total: ${formatAmount(order.total)}`,
+    ].join("\n"),
+});
+
+registerTemplate("orderStatusChanged", {
+  subject: ({ order }) => `Order ${order.orderId} is now ${order.status}`,
+  html: ({ name, order, note }) =>
+    layout(
+      "Order update",
+      `
+    <p>Hi ${escapeHtml(name)}, the status of your order <strong>${escapeHtml(order.orderId)}</strong> is now <strong>${escapeHtml(order.status)}</strong>.</p>
+    ${note ? `<p>${escapeHtml(note)}</p>` : ""}
+  `,
+    ),
+  text: ({ name, order, note }) =>
+    [
+      `Hi ${name}, the status of your order ${order.orderId} is now ${order.status}.`,
+      ...(note ? ["", note] : []),
+    ].join("\n"),
+});
+
+module.exports = { registerTemplate, renderTemplate, escapeHtml, layout };
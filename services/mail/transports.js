@@ -0,0 +1,78 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// SMTP transport - explicit host settings, or a nodemailer well-known service
+const createSmtpTransport = () => {
+  const auth = {
+    user: process.env.SMTP_USER || process.env.EMAIL_USER,
+    pass: process.env.SMTP_PASS || process.env.EMAIL_PASS,
+  };
+
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth,
+    });
+  }
+
+  return nodemailer.createTransport({
+    service: process.env.MAIL_SERVICE || "gmail",
+    auth,
+  });
+};
+
+// Outbox transport - writes each message as a JSON file for local dev and tests
+const createOutboxTransport = () => {
+  const outboxDir =
+    process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "tmp", "mail-outbox");
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    outboxDir,
+    sendMail: async (message) => {
+      const info = await jsonTransport.sendMail(message);
+      const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, "")}.json`;
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(path.join(outboxDir, fileName), info.message);
+
+      return { ...info, path: path.join(outboxDir, fileName) };
+    },
+  };
+};
+
+// Console transport - prints each message to stdout
+const createConsoleTransport = () => {
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (message) => {
+      const info = await jsonTransport.sendMail(message);
+      const { to, subject, text } = JSON.parse(info.message);
+      console.log(`[mail] To: ${to.map((r) => r.address).join(", ")}`);
+      console.log(`[mail] Subject: ${subject}`);
+      console.log(text);
+      return info;
+    },
+  };
+};
+
+const transports = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport,
+  console: createConsoleTransport,
+};
+
+// Create a transport by name
+exports.createTransport = (name) => {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown mail transport "${name}". Use one of: ${Object.keys(transports).join(", ")}`,
+    );
+  }
+  return factory();
+};
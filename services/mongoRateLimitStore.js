@@ -0,0 +1,73 @@
+const RateLimitHit = require("../models/RateLimitHit");
+
+// express-rate-limit store keeping counters in MongoDB so limits are
+// shared between API instances
+class MongoRateLimitStore {
+  constructor(prefix = "rl:") {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  prefixKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async get(key) {
+    const doc = await RateLimitHit.findOne({
+      key: this.prefixKey(key),
+      resetAt: { $gt: new Date() },
+    }).lean();
+
+    return doc ? { totalHits: doc.hits, resetTime: doc.resetAt } : undefined;
+  }
+
+  async increment(key) {
+    const now = new Date();
+    const windowOpen = { $gt: ["$resetAt", now] };
+
+    // Count within the current window, or start a new one atomically
+    const doc = await RateLimitHit.findOneAndUpdate(
+      { key: this.prefixKey(key) },
+      [
+        {
+          $set: {
+            hits: { $cond: [windowOpen, { $add: ["$hits", 1] }, 1] },
+            resetAt: {
+              $cond: [
+                windowOpen,
+                "$resetAt",
+                new Date(now.getTime() + this.windowMs),
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true, updatePipeline: true },
+    ).lean();
+
+    return { totalHits: doc.hits, resetTime: doc.resetAt };
+  }
+
+  async decrement(key) {
+    await RateLimitHit.updateOne(
+      { key: this.prefixKey(key), hits: { $gt: 0 } },
+      { $inc: { hits: -1 } },
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimitHit.deleteOne({ key: this.prefixKey(key) });
+  }
+
+  async resetAll() {
+    await RateLimitHit.deleteMany({
+      key: { $regex: `^${this.prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` },
+    });
+  }
+}
+
+module.exports = MongoRateLimitStore;
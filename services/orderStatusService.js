@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const mailService = require("./mail");
+const payments = require("./payments");
+const refundService = require("./refundService");
+
+// Allowed status changes. Cancelled and delivered orders are final.
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+class OrderStatusError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "OrderStatusError";
+    this.status = status;
+  }
+}
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Whether every item in the order is sold by the seller
+const isSellerOrder = async (order, sellerId) => {
+  const productIds = order.items.map((item) => item.productId._id || item.productId);
+  const sellerCount = await Product.countDocuments({
+    _id: { $in: productIds },
+    seller: sellerId,
+  });
+  return sellerCount === new Set(productIds.map(String)).size;
+};
+
+// Put the stock of cancelled order items back (variants that no longer exist are skipped)
+const restoreStock = async (items, session) => {
+  for (const item of items) {
+    if (item.variantId) {
+      await Product.updateOne(
+        { _id: item.productId, "variants._id": item.variantId },
+        {
+          $inc: {
+            "variants.$.quantity": item.quantity,
+            quantity: item.quantity,
+            salesCount: -item.quantity,
+          },
+        },
+        { session },
+      );
+    } else {
+      await Product.updateOne(
+        { _id: item.productId, "variants.0": { $exists: false } },
+        { $inc: { quantity: item.quantity, salesCount: -item.quantity } },
+        { session },
+      );
+    }
+  }
+};
+
+// Move an order to a new status, recording who did it. Cancelling restores
+// stock and refunds a paid order in the same transaction. Returns the updated order.
+const changeStatus = async (order, { status, note = "", actor }) => {
+  if (!ORDER_TRANSITIONS.hasOwnProperty(status)) {
+    throw new OrderStatusError(`Unknown order status "${status}"`);
+  }
+  if (!canTransition(order.status, status)) {
+    throw new OrderStatusError(
+      `Cannot change order from ${order.status} to ${status}`,
+    );
+  }
+  // With online payments, confirmation means the order is paid (see
+  // paymentService), so unpaid orders can't be confirmed and shipped by hand.
+  // Without a provider, orders are paid offline and confirmed by staff.
+  const requirePayment = status === "confirmed" && payments.isEnabled();
+  if (requirePayment && order.paymentStatus !== "completed") {
+    throw new OrderStatusError("Only paid orders can be confirmed");
+  }
+
+  const entry = {
+    status,
+    changedBy: actor ? actor.userId : null,
+    role: actor ? actor.role : null,
+    note,
+    changedAt: new Date(),
+  };
+
+  const session = await mongoose.startSession();
+  let updated;
+  try {
+    await session.withTransaction(async () => {
+      // Only applies if nobody changed the status in the meantime
+      updated = await Order.findOneAndUpdate(
+        {
+          _id: order._id,
+          status: order.status,
+          ...(requirePayment && { paymentStatus: "completed" }),
+        },
+        { $set: { status }, $push: { statusHistory: entry } },
+        { new: true, session },
+      );
+      if (!updated) {
+        throw new OrderStatusError("Order status was changed by someone else", 409);
+      }
+
+      if (status === "cancelled") {
+        await restoreStock(updated.items, session);
+
+        // Paid orders get the remaining amount back
+        if (
+          ["completed", "partially_refunded"].includes(updated.paymentStatus) &&
+          refundService.refundableAmount(updated) > 0
+        ) {
+          await refundService.recordRefund(
+            updated,
+            {
+              amount: refundService.refundableAmount(updated),
+              reason: "Order cancelled",
+              actor,
+            },
+            session,
+          );
+        }
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (status === "cancelled") {
+    updated = await refundService.submitPendingRefunds(updated._id);
+  }
+  return updated;
+};
+
+// Email the buyer about a status change (failures are logged, not thrown)
+const notifyStatusChange = async (order, note) => {
+  const user = await User.findById(order.userId).select("name email");
+  if (!user) return false;
+
+  return mailService.trySendTemplate("orderStatusChanged", user.email, {
+    name: user.name,
+    order,
+    note,
+  });
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  canTransition,
+  isSellerOrder,
+  restoreStock,
+  changeStatus,
+  notifyStatusChange,
+  OrderStatusError,
+};
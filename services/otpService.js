@@ -0,0 +1,206 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const otpConfig = require("../config/otp");
+
+// Error with an HTTP status and a machine-readable code for the frontend
+class OTPError extends Error {
+  constructor(code, message, status = 400, details = {}) {
+    super(message);
+    this.name = "OTPError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Generate a numeric OTP of the configured length
+const generateOTP = () => {
+  const max = 10 ** otpConfig.length;
+  return crypto.randomInt(0, max).toString().padStart(otpConfig.length, "0");
+};
+
+// Hash OTP bound to the user and purpose so codes can't be reused elsewhere
+const hashOTP = (userId, purpose, code) => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${userId}:${purpose}:${code}`)
+    .digest("hex");
+};
+
+// Throw if the user may not be sent a new code right now
+const checkResendAllowed = (user) => {
+  const now = new Date();
+
+  if (user.otp?.lockedUntil && user.otp.lockedUntil > now) {
+    throw new OTPError(
+      "OTP_LOCKED",
+      "Too many failed attempts. Please try again later.",
+      423,
+      { retryAfter: secondsUntil(user.otp.lockedUntil) },
+    );
+  }
+
+  const throttle = user.otpThrottle || {};
+
+  if (throttle.lastSentAt) {
+    const cooldownEndsAt = new Date(
+      throttle.lastSentAt.getTime() + otpConfig.resendCooldownSeconds * 1000,
+    );
+    if (cooldownEndsAt > now) {
+      throw new OTPError(
+        "OTP_RESEND_COOLDOWN",
+        "Please wait before requesting another OTP",
+        429,
+        { retryAfter: secondsUntil(cooldownEndsAt) },
+      );
+    }
+  }
+
+  if (throttle.windowStartedAt) {
+    const windowEndsAt = new Date(
+      throttle.windowStartedAt.getTime() +
+        otpConfig.resendWindowMinutes * 60000,
+    );
+    if (windowEndsAt > now && throttle.sendCount >= otpConfig.maxResendsPerWindow) {
+      throw new OTPError(
+        "OTP_TOO_MANY_RESENDS",
+        "Too many OTP requests. Please try again later.",
+        429,
+        { retryAfter: secondsUntil(windowEndsAt) },
+      );
+    }
+  }
+};
+
+// Generate a new OTP for the user and store its hash. Caller saves the user.
+exports.issueOTP = (user, purpose) => {
+  checkResendAllowed(user);
+
+  const now = new Date();
+  const code = generateOTP();
+
+  user.otp = {
+    codeHash: hashOTP(user._id, purpose, code),
+    purpose,
+    expiresAt: new Date(now.getTime() + otpConfig.expireMinutes * 60000),
+    attempts: 0,
+    lockedUntil: null,
+  };
+
+  // Track sends per window for throttling
+  const throttle = user.otpThrottle || {};
+  const windowExpired =
+    !throttle.windowStartedAt ||
+    throttle.windowStartedAt.getTime() + otpConfig.resendWindowMinutes * 60000 <=
+      now.getTime();
+
+  user.otpThrottle = {
+    windowStartedAt: windowExpired ? now : throttle.windowStartedAt,
+    sendCount: windowExpired ? 1 : (throttle.sendCount || 0) + 1,
+    lastSentAt: now,
+  };
+
+  return code;
+};
+
+const lockedError = () =>
+  new OTPError(
+    "OTP_LOCKED",
+    "Too many failed attempts. Please try again later.",
+    423,
+    { retryAfter: otpConfig.lockMinutes * 60 },
+  );
+
+// Check a submitted OTP. Failed attempts are counted and the OTP is cleared
+// on success directly in the database (atomically, so parallel guesses can't
+// exceed maxAttempts or use a code twice).
+exports.verifyOTP = async (user, purpose, code) => {
+  const now = new Date();
+  const otp = user.otp;
+
+  if (otp?.lockedUntil && otp.lockedUntil > now) {
+    throw new OTPError(
+      "OTP_LOCKED",
+      "Too many failed attempts. Please try again later.",
+      423,
+      { retryAfter: secondsUntil(otp.lockedUntil) },
+    );
+  }
+
+  if (!otp || !otp.codeHash || otp.purpose !== purpose) {
+    throw new OTPError("OTP_NOT_FOUND", "No OTP found. Please request a new one.");
+  }
+
+  if (now > otp.expiresAt) {
+    throw new OTPError("OTP_EXPIRED", "OTP has expired");
+  }
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const actual = Buffer.from(hashOTP(user._id, purpose, String(code)), "hex");
+
+  // Only this code while it still has attempts left
+  const current = {
+    _id: user._id,
+    "otp.codeHash": otp.codeHash,
+    "otp.attempts": { $lt: otpConfig.maxAttempts },
+  };
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const updated = await User.findOneAndUpdate(
+      current,
+      { $inc: { "otp.attempts": 1 } },
+      { new: true },
+    );
+    if (!updated) {
+      throw lockedError();
+    }
+
+    // Lock and invalidate the code once attempts run out
+    if (updated.otp.attempts >= otpConfig.maxAttempts) {
+      await User.updateOne(
+        { _id: user._id, "otp.codeHash": otp.codeHash },
+        {
+          $set: {
+            "otp.codeHash": null,
+            "otp.lockedUntil": new Date(now.getTime() + otpConfig.lockMinutes * 60000),
+          },
+        },
+      );
+      throw lockedError();
+    }
+
+    throw new OTPError("OTP_INVALID", "Invalid OTP", 400, {
+      attemptsRemaining: otpConfig.maxAttempts - updated.otp.attempts,
+    });
+  }
+
+  const clearedOTP = {
+    codeHash: null,
+    purpose: null,
+    expiresAt: null,
+    attempts: 0,
+    lockedUntil: null,
+  };
+
+  // Use the code up; a parallel request with the same code loses here
+  const claimed = await User.updateOne(current, { $set: { otp: clearedOTP } });
+  if (claimed.modifiedCount === 0) {
+    throw new OTPError("OTP_NOT_FOUND", "No OTP found. Please request a new one.");
+  }
+  user.otp = clearedOTP;
+};
+
+// Send an OTPError as the response
+exports.sendOTPError = (res, error) => {
+  return res.status(error.status).json({
+    message: error.message,
+    code: error.code,
+    ...error.details,
+  });
+};
+
+exports.OTPError = OTPError;
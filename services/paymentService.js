@@ -0,0 +1,306 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const PaymentEvent = require("../models/PaymentEvent");
+const paymentConfig = require("../config/payments");
+const payments = require("./payments");
+const orderStatusService = require("./orderStatusService");
+const refundService = require("./refundService");
+
+class PaymentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PaymentError";
+    this.status = status;
+  }
+}
+
+const PAID_STATUSES = ["completed", "partially_refunded", "refunded"];
+
+// Why an event's amount or currency differs from the order's payment, or null
+const paymentMismatch = (order, event) => {
+  const { roundAmount } = refundService;
+  if (roundAmount(Number(event.amount)) !== roundAmount(order.payment.amount)) {
+    return `Paid amount ${event.amount} does not match ${order.payment.amount}`;
+  }
+  if (String(event.currency || "").toLowerCase() !== order.payment.currency) {
+    return `Paid currency ${event.currency} does not match ${order.payment.currency}`;
+  }
+  return null;
+};
+
+// Start a payment for a pending order. Returns the provider's intent
+// (its clientSecret is what the frontend needs to collect the payment).
+const createIntentForOrder = async (order) => {
+  if (order.status !== "pending") {
+    throw new PaymentError("Only pending orders can be paid");
+  }
+  if (PAID_STATUSES.includes(order.paymentStatus)) {
+    throw new PaymentError("Order is already paid");
+  }
+
+  const provider = payments.getProvider();
+  const intent = await provider.createIntent({
+    amount: order.total,
+    currency: paymentConfig.currency,
+    reference: order.orderId,
+    captureMethod: paymentConfig.captureMethod,
+  });
+
+  const previousIntentIds =
+    order.payment && order.payment.provider === provider.name
+      ? order.payment.intentIds || []
+      : [];
+  order.payment = {
+    provider: provider.name,
+    intentId: intent.id,
+    intentIds: [...previousIntentIds, intent.id],
+    status: intent.status,
+    amount: order.total,
+    currency: paymentConfig.currency,
+  };
+  order.paymentStatus = "pending";
+  await order.save();
+
+  return intent;
+};
+
+// Mark an order paid with the given intent. Pending orders are confirmed;
+// orders cancelled before the payment arrived are refunded in full.
+const markPaid = async (order, intentId) => {
+  const paidOrder = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: { $in: ["pending", "failed"] } },
+    {
+      $set: {
+        paymentStatus: "completed",
+        "payment.intentId": intentId,
+        "payment.status": "succeeded",
+        "payment.capturedAt": new Date(),
+      },
+    },
+    { new: true },
+  );
+  // Already paid (duplicate or out-of-order event)
+  if (!paidOrder) return order;
+
+  if (paidOrder.status === "pending") {
+    try {
+      const confirmedOrder = await orderStatusService.changeStatus(paidOrder, {
+        status: "confirmed",
+        note: "Payment received",
+        actor: null,
+      });
+      await orderStatusService.notifyStatusChange(confirmedOrder, "Payment received");
+      return confirmedOrder;
+    } catch (error) {
+      // Someone else moved the order on in the meantime
+      if (!(error instanceof orderStatusService.OrderStatusError)) throw error;
+      return paidOrder;
+    }
+  }
+
+  if (paidOrder.status === "cancelled") {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const current = await Order.findById(paidOrder._id).session(session);
+        await refundService.recordRefund(
+          current,
+          {
+            amount: refundService.refundableAmount(current),
+            reason: "Payment received after cancellation",
+            actor: null,
+          },
+          session,
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+    return refundService.submitPendingRefunds(paidOrder._id);
+  }
+
+  return paidOrder;
+};
+
+// Capture an authorised payment (manual capture)
+const capturePayment = async (order) => {
+  if (!order.payment || order.payment.status !== "authorized") {
+    throw new PaymentError("Order has no authorised payment to capture");
+  }
+  if (order.status === "cancelled") {
+    throw new PaymentError("Cancelled orders can't be captured");
+  }
+
+  const provider = payments.getProvider(order.payment.provider);
+  const result = await provider.capture(order.payment.intentId, order.payment.amount);
+
+  // Otherwise the payment.succeeded webhook completes it
+  if (result.status === "succeeded") {
+    return markPaid(order, order.payment.intentId);
+  }
+  return order;
+};
+
+// Apply a verified event to its order. Returns { order, status, error } where
+// status is processed, ignored or rejected (payment events that don't match
+// the order's amount or currency; these are logged for manual review).
+const applyEvent = async (provider, event) => {
+  const order = await Order.findOne({
+    "payment.provider": provider.name,
+    "payment.intentIds": event.intentId,
+  });
+  if (!order) {
+    return { order: null, status: "ignored" };
+  }
+
+  if (["payment.authorized", "payment.succeeded"].includes(event.type)) {
+    const mismatch = paymentMismatch(order, event);
+    if (mismatch) {
+      console.error(`Payment event ${event.id} for order ${order.orderId} rejected: ${mismatch}`);
+      return { order, status: "rejected", error: mismatch };
+    }
+  }
+
+  switch (event.type) {
+    case "payment.authorized":
+      if (!PAID_STATUSES.includes(order.paymentStatus)) {
+        order.payment.intentId = event.intentId;
+        order.payment.status = "authorized";
+        await order.save();
+      }
+      return { order, status: "processed" };
+
+    case "payment.succeeded":
+      return { order: await markPaid(order, event.intentId), status: "processed" };
+
+    case "payment.failed":
+      // A failure of an older attempt doesn't affect the current one
+      if (order.paymentStatus === "pending" && order.payment.intentId === event.intentId) {
+        order.paymentStatus = "failed";
+        order.payment.status = "failed";
+        await order.save();
+      }
+      return { order, status: "processed" };
+
+    case "refund.succeeded":
+    case "refund.failed": {
+      const refund = order.refunds.find(
+        (item) => item.providerRefundId && item.providerRefundId === event.refundId,
+      );
+      if (!refund) {
+        return { order, status: "ignored" };
+      }
+      if (event.type === "refund.succeeded") {
+        refund.status = "completed";
+      } else {
+        refund.status = "failed";
+        refund.failureReason = "Refund failed at the payment provider";
+      }
+      refundService.updatePaymentStatus(order);
+      await order.save();
+      return { order, status: "processed" };
+    }
+
+    default:
+      return { order, status: "ignored" };
+  }
+};
+
+// Verify and process a webhook. Each event is processed once; redeliveries of
+// an event that failed, or was abandoned while processing, are processed
+// again. Returns { duplicate, status }.
+const handleWebhook = async (providerName, rawBody, headers) => {
+  if (!payments.hasProvider(providerName)) {
+    throw new PaymentError("Unknown payment provider", 404);
+  }
+  const provider = payments.getProvider(providerName);
+
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody, headers);
+  } catch (error) {
+    if (error instanceof payments.WebhookSignatureError || error instanceof SyntaxError) {
+      throw new PaymentError(error.message);
+    }
+    throw error;
+  }
+  if (!event.id || !event.type) {
+    throw new PaymentError("Webhook event is missing an id or type");
+  }
+
+  // Claim the event; duplicates are acknowledged without processing again
+  let record;
+  try {
+    record = await PaymentEvent.create({
+      provider: providerName,
+      eventId: event.id,
+      type: event.type,
+      intentId: event.intentId,
+      payload: event,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const staleBefore = new Date(Date.now() - paymentConfig.eventLockSeconds * 1000);
+    record = await PaymentEvent.findOneAndUpdate(
+      {
+        provider: providerName,
+        eventId: event.id,
+        $or: [
+          { status: "failed" },
+          { status: "processing", updatedAt: { $lt: staleBefore } },
+        ],
+      },
+      { $set: { status: "processing", error: null } },
+      { new: true },
+    );
+    if (!record) {
+      return { duplicate: true, status: "duplicate" };
+    }
+  }
+
+  try {
+    const { order, status, error } = await applyEvent(provider, event);
+    record.status = status;
+    record.error = error || null;
+    record.order = order ? order._id : null;
+    record.processedAt = new Date();
+    await record.save();
+    return { duplicate: false, status };
+  } catch (error) {
+    record.status = "failed";
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+// Send a signed mock webhook for an order's current intent (offline testing)
+const simulateMockPayment = async (order, outcome) => {
+  if (!order.payment || order.payment.provider !== "mock") {
+    throw new PaymentError("Order has no mock payment");
+  }
+
+  const types = {
+    succeeded:
+      paymentConfig.captureMethod === "manual" ? "payment.authorized" : "payment.succeeded",
+    failed: "payment.failed",
+  };
+  if (!types[outcome]) {
+    throw new PaymentError("Outcome must be succeeded or failed");
+  }
+
+  const { rawBody, headers } = payments.getProvider("mock").buildWebhook(types[outcome], {
+    intentId: order.payment.intentId,
+    amount: order.payment.amount,
+    currency: order.payment.currency,
+  });
+  return handleWebhook("mock", rawBody, headers);
+};
+
+module.exports = {
+  createIntentForOrder,
+  capturePayment,
+  handleWebhook,
+  simulateMockPayment,
+  PaymentError,
+};
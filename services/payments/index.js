@@ -0,0 +1,40 @@
+const paymentConfig = require("../../config/payments");
+const providers = require("./providers");
+
+const { createProvider, WebhookSignatureError } = providers;
+
+const instances = new Map();
+
+// Provider by name (PAYMENT_PROVIDER by default), created on first use
+const getProvider = (name = paymentConfig.provider) => {
+  if (!instances.has(name)) {
+    instances.set(name, createProvider(name));
+  }
+  return instances.get(name);
+};
+
+// Replace a provider (name or provider object), e.g. in tests
+const setProvider = (nameOrProvider) => {
+  const provider =
+    typeof nameOrProvider === "string"
+      ? createProvider(nameOrProvider)
+      : nameOrProvider;
+  instances.set(provider.name, provider);
+};
+
+// Whether a provider can be used here (built in and allowed in this
+// environment, or set with setProvider)
+const hasProvider = (name) => instances.has(name) || providers.hasProvider(name);
+
+// Whether online payments are available, i.e. PAYMENT_PROVIDER names a
+// provider that can be used here. Without one orders are paid offline.
+const isEnabled = () =>
+  Boolean(paymentConfig.provider) && hasProvider(paymentConfig.provider);
+
+module.exports = {
+  getProvider,
+  setProvider,
+  hasProvider,
+  isEnabled,
+  WebhookSignatureError,
+};
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const paymentConfig = require("../../config/payments");
+
+class WebhookSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookSignatureError";
+  }
+}
+
+// Providers implement:
+//   createIntent({ amount, currency, reference, captureMethod }) -> { id, status, clientSecret, amount, currency }
+//   capture(intentId, amount) -> { id, status }
+//   refund(intentId, amount, { idempotencyKey }) -> { id, status }
+//   verifyWebhook(rawBody, headers) -> { id, type, intentId, refundId, amount, currency }
+// Amounts are in major units (e.g. 10.50). Event types are normalised to
+// payment.authorized, payment.succeeded, payment.failed, refund.succeeded, refund.failed.
+
+// Header format "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+const signPayload = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+const verifySignature = (secret, rawBody, header) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("=")),
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    throw new WebhookSignatureError("Missing webhook signature");
+  }
+
+  const age = Math.abs(Date.now() / 1000 - timestamp);
+  if (age > paymentConfig.webhookToleranceSeconds) {
+    throw new WebhookSignatureError("Webhook timestamp is outside the tolerance");
+  }
+
+  const expected = Buffer.from(signPayload(secret, rawBody, timestamp).split("v1=")[1], "hex");
+  const received = Buffer.from(parts.v1, "hex");
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new WebhookSignatureError("Invalid webhook signature");
+  }
+};
+
+// Mock provider - no network, every payment and refund succeeds. Webhooks are
+// signed with MOCK_PAYMENT_WEBHOOK_SECRET so the real verification path runs.
+// Never available in production (see devOnlyProviders).
+const createMockProvider = () => {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error("MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider");
+  }
+  const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+  const provider = {
+    name: "mock",
+    createIntent: async ({ amount, currency, captureMethod }) => {
+      const id = randomId("mock_pi");
+      return {
+        id,
+        status: "requires_payment_method",
+        clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}`,
+        amount,
+        currency,
+        captureMethod,
+      };
+    },
+    capture: async (intentId) => ({ id: intentId, status: "succeeded" }),
+    refund: async () => ({ id: randomId("mock_re"), status: "succeeded" }),
+    verifyWebhook: (rawBody, headers) => {
+      verifySignature(secret, rawBody, headers["x-mock-signature"]);
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: event.type,
+        intentId: event.data.intentId,
+        refundId: event.data.refundId || null,
+        amount: event.data.amount,
+        currency: event.data.currency,
+      };
+    },
+    // Build a signed webhook request for an event, as the provider would send it
+    buildWebhook: (type, data) => {
+      const rawBody = JSON.stringify({ id: randomId("mock_evt"), type, data });
+      return { rawBody, headers: { "x-mock-signature": signPayload(secret, rawBody) } };
+    },
+  };
+
+  return provider;
+};
+
+const providers = {
+  mock: createMockProvider,
+};
+
+// Anyone can fake their payments, so they are refused in production
+const devOnlyProviders = ["mock"];
+
+// Whether a provider can be used in this environment
+const hasProvider = (name) =>
+  Object.prototype.hasOwnProperty.call(providers, name) &&
+  !(process.env.NODE_ENV === "production" && devOnlyProviders.includes(name));
+
+// Create a payment provider by name
+const createProvider = (name) => {
+  if (!name) {
+    throw new Error("PAYMENT_PROVIDER is not set");
+  }
+  if (!hasProvider(name)) {
+    const available = Object.keys(providers).filter(hasProvider);
+    throw new Error(
+      `Unknown payment provider "${name}". Use one of: ${available.join(", ") || "(none)"}`,
+    );
+  }
+  return providers[name]();
+};
+
+module.exports = {
+  createProvider,
+  hasProvider,
+  signPayload,
+  verifySignature,
+  WebhookSignatureError,
+};
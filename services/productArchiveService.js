@@ -0,0 +1,74 @@
+const Product = require("../models/Product");
+const Review = require("../models/Review");
+const User = require("../models/User");
+const productConfig = require("../config/products");
+const uploadService = require("./uploadService");
+
+// Archive (soft delete) a product and remove it from every cart.
+// Returns false if it was already archived.
+exports.archiveProduct = async (product, userId) => {
+  const deletedAt = new Date();
+  const result = await Product.updateOne(
+    { _id: product._id, deletedAt: null },
+    { $set: { deletedAt, deletedBy: userId } },
+  );
+  if (result.modifiedCount === 0) return false;
+
+  product.deletedAt = deletedAt;
+  product.deletedBy = userId;
+  await User.updateMany(
+    { "cart.productId": product._id },
+    { $pull: { cart: { productId: product._id } } },
+  );
+  return true;
+};
+
+// Bring an archived product back
+exports.restoreProduct = async (product) => {
+  await Product.updateOne(
+    { _id: product._id },
+    { $set: { deletedAt: null, deletedBy: null } },
+  );
+  product.deletedAt = null;
+  product.deletedBy = null;
+};
+
+// Permanently delete a product with its reviews and all their images
+const purgeProduct = async (product) => {
+  const reviews = await Review.find({ product: product._id }).select("images");
+
+  await Review.deleteMany({ product: product._id });
+  await Product.deleteOne({ _id: product._id });
+
+  // Failures are retried by the upload sweeper
+  await uploadService.deleteImages(uploadService.productImages(product), {
+    kind: "Product",
+    item: product._id,
+  });
+  for (const review of reviews) {
+    await uploadService.deleteImages(review.images, {
+      kind: "Review",
+      item: review._id,
+    });
+  }
+};
+
+// Purge the given archived products, or every archived product past the
+// restore window. Returns the number purged.
+exports.purgeArchivedProducts = async ({ productIds } = {}) => {
+  const filter = { deletedAt: { $ne: null } };
+  if (productIds) {
+    filter._id = { $in: productIds };
+  } else {
+    filter.deletedAt = {
+      $lte: new Date(Date.now() - productConfig.restoreWindowDays * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  let purged = 0;
+  for await (const product of Product.find(filter).cursor()) {
+    await purgeProduct(product);
+    purged++;
+  }
+  return purged;
+};
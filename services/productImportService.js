@@ -0,0 +1,379 @@
+const { parse } = require("csv-parse/sync");
+const { stringify } = require("csv-stringify");
+const validator = require("validator");
+const Product = require("../models/Product");
+const ImportJob = require("../models/ImportJob");
+const imageService = require("./imageService");
+const uploadService = require("./uploadService");
+const { intFromEnv } = require("../config/env");
+const categoryService = require("./categoryService");
+const variantService = require("./variantService");
+
+// Columns shared by import and export so an export can be re-imported
+const COLUMNS = [
+  "sku",
+  "productName",
+  "description",
+  "price",
+  "quantity",
+  "category",
+  "status",
+  "images",
+];
+const PRODUCT_STATUSES = ["active", "inactive", "discontinued"];
+const MAX_ROWS = intFromEnv("IMPORT_MAX_ROWS", 5000);
+// Save progress every N rows (or at least every 30 seconds) so the status
+// endpoint shows it and running jobs aren't taken for stale ones
+const PROGRESS_INTERVAL = 100;
+const HEARTBEAT_MS = 30 * 1000;
+// Jobs without progress for this long were interrupted (e.g. by a restart).
+// Rows are only kept in memory, so they can't be resumed.
+const STALE_MINUTES = intFromEnv("IMPORT_STALE_MINUTES", 10);
+
+class ImportFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportFileError";
+  }
+}
+
+// Parse an uploaded file into row objects. Throws ImportFileError.
+const parseFile = (buffer, format) => {
+  const content = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  let rows;
+
+  if (format === "csv") {
+    try {
+      rows = parse(content, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+      });
+    } catch (error) {
+      throw new ImportFileError(`Invalid CSV: ${error.message}`);
+    }
+  } else {
+    rows = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        rows.push(JSON.parse(line));
+      } catch (error) {
+        throw new ImportFileError(`Invalid JSON on line ${index + 1}`);
+      }
+    });
+  }
+
+  if (rows.length === 0) {
+    throw new ImportFileError("The file has no rows");
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new ImportFileError(`The file has more than ${MAX_ROWS} rows`);
+  }
+  return rows;
+};
+
+// Image URLs from a CSV cell ("url1|url2") or a JSON array
+const parseImageUrls = (images) => {
+  if (!images) return [];
+  if (Array.isArray(images)) {
+    return images.map((img) => (typeof img === "string" ? img : img?.url));
+  }
+  return String(images)
+    .split("|")
+    .map((url) => url.trim())
+    .filter(Boolean);
+};
+
+// Validate one row. Returns { data, errors }.
+const validateRow = async (row, categoryCache) => {
+  const errors = [];
+  const data = {};
+
+  // JSON lines can hold any value
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    return { data, errors: ["Row must be an object"] };
+  }
+
+  data.sku = row.sku ? String(row.sku).trim() : "";
+  if (!data.sku) errors.push("sku is required");
+
+  data.productName = row.productName ? String(row.productName).trim() : "";
+  if (!data.productName) errors.push("productName is required");
+
+  data.description = row.description ? String(row.description).trim() : "";
+  if (!data.description) errors.push("description is required");
+
+  data.price = parseFloat(row.price);
+  if (isNaN(data.price) || data.price < 0) {
+    errors.push("price must be a valid positive number");
+  }
+
+  // Variants are only supported in JSON lines files
+  if (row.variants !== undefined) {
+    try {
+      const variantData = variantService.normalizeVariants(row.optionTypes, row.variants);
+      data.optionTypes = variantData.optionTypes;
+      data.variants = variantData.variants;
+    } catch (variantError) {
+      if (!(variantError instanceof variantService.VariantError)) throw variantError;
+      errors.push(variantError.message);
+    }
+  }
+
+  if (!data.variants || data.variants.length === 0) {
+    data.quantity = parseInt(row.quantity, 10);
+    if (isNaN(data.quantity) || data.quantity < 0) {
+      errors.push("quantity must be a valid positive number");
+    }
+  }
+
+  if (!row.category) {
+    errors.push("category is required");
+  } else {
+    const key = String(row.category);
+    if (!categoryCache.has(key)) {
+      categoryCache.set(key, await categoryService.resolveCategory(key));
+    }
+    const category = categoryCache.get(key);
+    if (category) {
+      data.category = category.slug;
+      data.categoryId = category._id;
+    } else {
+      errors.push(`Unknown category "${row.category}"`);
+    }
+  }
+
+  data.status = row.status ? String(row.status).trim() : "active";
+  if (!PRODUCT_STATUSES.includes(data.status)) {
+    errors.push(`status must be one of: ${PRODUCT_STATUSES.join(", ")}`);
+  }
+
+  data.imageUrls = parseImageUrls(row.images);
+  if (
+    !data.imageUrls.every(
+      (url) =>
+        typeof url === "string" &&
+        validator.isURL(url, { protocols: ["http", "https"], require_protocol: true }),
+    )
+  ) {
+    errors.push("images must be http(s) URLs separated by |");
+  }
+
+  return { data, errors };
+};
+
+// Keep images already on the product, copy new URLs into storage. New files
+// are registered as pending uploads so they are swept if the save fails.
+const resolveImages = async (urls, sellerId, existingImages = []) => {
+  const images = [];
+  for (const url of urls) {
+    const existing = existingImages.find((img) => img.url === url);
+    if (existing) {
+      images.push(existing.toObject());
+      continue;
+    }
+
+    const image = await imageService.storeImageFromUrl(url, { folder: "payplex/products" });
+    await uploadService.registerUpload(image, {
+      owner: sellerId,
+      folder: "payplex/products",
+    });
+    images.push(image);
+  }
+  return images;
+};
+
+// Create or update the seller's product with the row's SKU
+const applyRow = async (sellerId, data, existing) => {
+  const { imageUrls, ...fields } = data;
+  const attachment = { kind: "Product", owner: sellerId };
+
+  if (!existing) {
+    const product = new Product({
+      ...fields,
+      quantity: fields.quantity ?? 0,
+      images: await resolveImages(imageUrls, sellerId),
+      seller: sellerId,
+    });
+    await product.save();
+    await uploadService.attachUploads(uploadService.productImages(product), {
+      ...attachment,
+      item: product._id,
+    });
+    return { product, status: "created" };
+  }
+
+  const previousImages = uploadService.productImages(existing.toObject());
+  // Keep the ids of variants whose SKU is unchanged so cart lines stay valid
+  if (fields.variants) {
+    Object.assign(
+      fields,
+      variantService.normalizeVariants(fields.optionTypes, fields.variants, existing.variants),
+    );
+  }
+  existing.set(fields);
+
+  if (imageUrls.length > 0) {
+    existing.images = await resolveImages(imageUrls, sellerId, existing.images);
+  }
+
+  await existing.save();
+  await uploadService.syncImages(previousImages, uploadService.productImages(existing), {
+    ...attachment,
+    item: existing._id,
+  });
+  return { product: existing, status: "updated" };
+};
+
+// Validate (and unless dry run, apply) every row, recording results on the job
+const runImportJob = async (jobId, rows) => {
+  const job = await ImportJob.findById(jobId);
+  job.status = "processing";
+  job.startedAt = new Date();
+  job.summary.total = rows.length;
+  await job.save();
+
+  try {
+    const categoryCache = new Map();
+    const seenSkus = new Set();
+    let savedAt = Date.now();
+
+    for (let index = 0; index < rows.length; index++) {
+      // Row numbers match the file (header is line 1 in CSV)
+      const rowNumber = job.format === "csv" ? index + 2 : index + 1;
+      const { data, errors } = await validateRow(rows[index], categoryCache);
+
+      if (data.sku && seenSkus.has(data.sku)) {
+        errors.push(`Duplicate sku "${data.sku}" in file`);
+      }
+      seenSkus.add(data.sku);
+
+      const existing =
+        errors.length === 0
+          ? await Product.findOne({ seller: job.seller, sku: data.sku })
+          : null;
+
+      if (existing && existing.isArchived()) {
+        errors.push(`Product with sku "${data.sku}" is archived. Restore it before importing.`);
+      }
+
+      if (errors.length === 0 && !existing && data.imageUrls.length === 0) {
+        errors.push("At least one image is required for new products");
+      }
+
+      // Variant images are given as uploads, which must be the seller's own
+      if (errors.length === 0 && data.variants) {
+        try {
+          await uploadService.checkSubmittedImages(
+            uploadService.productImages({ variants: data.variants }),
+            {
+              owner: job.seller,
+              existing: existing ? uploadService.productImages(existing) : [],
+            },
+          );
+        } catch (uploadError) {
+          if (!(uploadError instanceof uploadService.UploadError)) throw uploadError;
+          errors.push(uploadError.message);
+        }
+      }
+
+      const result = { row: rowNumber, sku: data.sku, messages: errors };
+
+      if (errors.length > 0) {
+        result.status = "error";
+        job.summary.failed += 1;
+      } else if (job.dryRun) {
+        result.status = "valid";
+        result.messages = [existing ? "Would update existing product" : "Would create product"];
+        result.productId = existing?._id;
+        job.summary.valid += 1;
+      } else {
+        try {
+          const { product, status } = await applyRow(job.seller, data, existing);
+          result.status = status;
+          result.productId = product._id;
+          job.summary[status] += 1;
+        } catch (error) {
+          result.status = "error";
+          result.messages = [error.message];
+          job.summary.failed += 1;
+        }
+      }
+
+      job.rows.push(result);
+      if ((index + 1) % PROGRESS_INTERVAL === 0 || Date.now() - savedAt > HEARTBEAT_MS) {
+        await job.save();
+        savedAt = Date.now();
+      }
+    }
+
+    job.status = "completed";
+  } catch (error) {
+    console.error("Product import error:", error);
+    job.status = "failed";
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+};
+
+// Stream products matching the filter as CSV or JSON lines
+const streamProductsExport = async (res, filter, format) => {
+  const cursor = Product.find(filter).sort({ createdAt: -1 }).lean().cursor();
+
+  if (format === "csv") {
+    const csv = stringify({ header: true, columns: COLUMNS });
+    csv.pipe(res);
+    for await (const product of cursor) {
+      csv.write({
+        ...product,
+        images: (product.images || []).map((img) => img.url).join("|"),
+      });
+    }
+    csv.end();
+    return;
+  }
+
+  for await (const product of cursor) {
+    const line = {
+      ...Object.fromEntries(COLUMNS.map((column) => [column, product[column]])),
+      images: (product.images || []).map((img) => img.url),
+    };
+    if (product.variants && product.variants.length > 0) {
+      line.optionTypes = product.optionTypes;
+      line.variants = product.variants.map(({ _id, ...variant }) => variant);
+    }
+    res.write(`${JSON.stringify(line)}\n`);
+  }
+  res.end();
+};
+
+// Mark interrupted jobs (no progress for STALE_MINUTES) as failed.
+// Returns the number marked.
+const failStaleJobs = async (filter = {}) => {
+  const result = await ImportJob.updateMany(
+    {
+      ...filter,
+      status: { $in: ["queued", "processing"] },
+      updatedAt: { $lt: new Date(Date.now() - STALE_MINUTES * 60 * 1000) },
+    },
+    {
+      $set: {
+        status: "failed",
+        error: "The import was interrupted. Please upload the file again.",
+        finishedAt: new Date(),
+      },
+    },
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  parseFile,
+  runImportJob,
+  failStaleJobs,
+  streamProductsExport,
+  ImportFileError,
+};
@@ -0,0 +1,103 @@
+const Order = require("../models/Order");
+const payments = require("./payments");
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RefundError";
+    this.status = status;
+  }
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Refunds that did not fail
+const activeRefunds = (order) =>
+  order.refunds.filter((refund) => refund.status !== "failed");
+
+// Paid amount not refunded yet
+const refundableAmount = (order) =>
+  roundAmount(
+    order.total - activeRefunds(order).reduce((sum, refund) => sum + refund.amount, 0),
+  );
+
+// paymentStatus of a paid order from its refunds
+const updatePaymentStatus = (order) => {
+  if (activeRefunds(order).length === 0) {
+    order.paymentStatus = "completed";
+  } else {
+    order.paymentStatus =
+      refundableAmount(order) > 0 ? "partially_refunded" : "refunded";
+  }
+};
+
+// Add a refund to an order and update paymentStatus. Load the order in the
+// same session so concurrent refunds can't exceed the total. Orders paid
+// through a provider get a pending refund; call submitPendingRefunds after
+// the transaction commits. Returns the refund.
+const recordRefund = async (order, { amount, reason = "", returnId = null, actor }, session) => {
+  if (!["completed", "partially_refunded"].includes(order.paymentStatus)) {
+    throw new RefundError("Only paid orders can be refunded");
+  }
+
+  const refundable = refundableAmount(order);
+  const refundAmount = roundAmount(Number(amount));
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw new RefundError(`Refund amount must be between 0.01 and ${refundable}`);
+  }
+
+  order.refunds.push({
+    amount: refundAmount,
+    reason,
+    returnId,
+    status: order.payment && order.payment.intentId ? "pending" : "completed",
+    createdBy: actor ? actor.userId : null,
+  });
+  updatePaymentStatus(order);
+  await order.save({ session });
+
+  return order.refunds[order.refunds.length - 1];
+};
+
+// Send pending refunds of an order to its payment provider. Failures are
+// recorded on the refund, not thrown. Returns the updated order.
+const submitPendingRefunds = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order || !order.payment || !order.payment.intentId) return order;
+
+  const pending = order.refunds.filter(
+    (refund) => refund.status === "pending" && !refund.providerRefundId,
+  );
+  if (pending.length === 0) return order;
+
+  const provider = payments.getProvider(order.payment.provider);
+  for (const refund of pending) {
+    try {
+      const result = await provider.refund(order.payment.intentId, refund.amount, {
+        idempotencyKey: refund._id.toString(),
+      });
+      refund.providerRefundId = result.id;
+      // Otherwise the refund.succeeded webhook completes it
+      if (result.status === "succeeded") {
+        refund.status = "completed";
+      }
+    } catch (error) {
+      console.error(`Refund ${refund._id} failed:`, error);
+      refund.status = "failed";
+      refund.failureReason = error.message;
+    }
+  }
+
+  updatePaymentStatus(order);
+  await order.save();
+  return order;
+};
+
+module.exports = {
+  roundAmount,
+  refundableAmount,
+  updatePaymentStatus,
+  recordRefund,
+  submitPendingRefunds,
+  RefundError,
+};
@@ -0,0 +1,172 @@
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
+
+// Every server-side download of a user-supplied URL goes through
+// fetchRemoteFile so it can't reach internal services (SSRF), hang, or
+// buffer an unbounded response.
+
+class RemoteFetchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RemoteFetchError";
+    this.status = status;
+  }
+}
+
+// Loopback, private, shared, link-local (cloud metadata), documentation,
+// benchmarking, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  // Unspecified, loopback and IPv4-compatible. IPv4-mapped addresses
+  // (::ffff:a.b.c.d) are matched by the IPv4 ranges above.
+  ["::", 96],
+  // NAT64, which could wrap any of the IPv4 ranges
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+// dns.lookup that refuses non-public addresses. It is the socket's lookup, so
+// the address checked is the one connected to (no DNS rebinding window).
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(new RemoteFetchError(`${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Only http(s) URLs; IP literals are checked here since they skip the lookup
+const checkUrl = (url) => {
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new RemoteFetchError(`${url} is not an http(s) URL`);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new RemoteFetchError(`${host} is not a public address`);
+  }
+};
+
+// One request without following redirects. Resolves { redirect } or
+// { buffer, contentType }.
+const requestOnce = (url, { signal, maxBytes }) =>
+  new Promise((resolve, reject) => {
+    const tooLarge = () =>
+      new RemoteFetchError(`${url} is larger than the ${maxBytes} byte limit`, 413);
+    const client = url.protocol === "https:" ? https : http;
+
+    const request = client.get(url, { lookup: publicLookup, signal }, (response) => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        return resolve({ redirect: new URL(headers.location, url) });
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        return reject(new RemoteFetchError(`Failed to download ${url}: HTTP ${statusCode}`));
+      }
+      if (parseInt(headers["content-length"], 10) > maxBytes) {
+        response.destroy();
+        return reject(tooLarge());
+      }
+
+      // Count the bytes actually received; content-length may be missing or wrong
+      const chunks = [];
+      let size = 0;
+      response.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          response.destroy();
+          reject(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on("end", () =>
+        resolve({
+          buffer: Buffer.concat(chunks),
+          contentType: (headers["content-type"] || "").split(";")[0].trim(),
+        }),
+      );
+      response.on("error", reject);
+    });
+
+    request.on("error", reject);
+  });
+
+// Download a user-supplied URL into memory. Redirects are followed manually
+// and each hop is checked again. Returns { buffer, contentType, url }.
+const fetchRemoteFile = async (
+  url,
+  { maxBytes = 10 * 1024 * 1024, timeoutMs = 15000, maxRedirects = 5 } = {},
+) => {
+  let current;
+  try {
+    current = new URL(url);
+  } catch (error) {
+    throw new RemoteFetchError(`${url} is not a valid URL`);
+  }
+
+  // One deadline for the whole download, redirects included
+  const signal = AbortSignal.timeout(timeoutMs);
+
+  for (let redirects = 0; ; redirects += 1) {
+    checkUrl(current);
+
+    let result;
+    try {
+      result = await requestOnce(current, { signal, maxBytes });
+    } catch (error) {
+      if (error instanceof RemoteFetchError) throw error;
+      if (signal.aborted) {
+        throw new RemoteFetchError(`Timed out downloading ${url}`, 504);
+      }
+      throw new RemoteFetchError(`Failed to download ${url}: ${error.message}`);
+    }
+
+    if (!result.redirect) {
+      return { ...result, url: current.toString() };
+    }
+    if (redirects >= maxRedirects) {
+      throw new RemoteFetchError(`Too many redirects downloading ${url}`);
+    }
+    current = result.redirect;
+  }
+};
+
+module.exports = {
+  fetchRemoteFile,
+  isPublicAddress,
+  RemoteFetchError,
+};
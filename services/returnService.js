@@ -0,0 +1,341 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const Return = require("../models/Return");
+const returnConfig = require("../config/returns");
+const { hasPermission, PERMISSIONS } = require("../config/permissions");
+const sequenceService = require("./sequenceService");
+const refundService = require("./refundService");
+const orderStatusService = require("./orderStatusService");
+
+// Allowed return status changes. Rejected and refunded returns are final.
+const RETURN_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["received"],
+  received: ["inspected"],
+  inspected: ["refunded"],
+  rejected: [],
+  refunded: [],
+};
+
+class ReturnError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ReturnError";
+    this.status = status;
+  }
+}
+
+const historyEntry = (status, actor, note = "") => ({
+  status,
+  changedBy: actor ? actor.userId : null,
+  role: actor ? actor.role : null,
+  note,
+  changedAt: new Date(),
+});
+
+// When the order was delivered (latest delivered entry in its history)
+const deliveredAt = (order) => {
+  const entry = [...order.statusHistory]
+    .reverse()
+    .find((history) => history.status === "delivered");
+  return entry ? entry.changedAt : order.updatedAt;
+};
+
+// Quantity of each order line already in non-rejected returns, keyed by line id
+const returnedQuantities = async (orderId, session) => {
+  const returns = await Return.find({
+    order: orderId,
+    status: { $ne: "rejected" },
+  }).session(session);
+  const quantities = new Map();
+  for (const returnRequest of returns) {
+    for (const item of returnRequest.items) {
+      const key = item.orderItemId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+  }
+  return quantities;
+};
+
+// Validate requested items against the order and what is already returned.
+// Returns the items for the return.
+const buildReturnItems = (order, items, alreadyReturned) => {
+  const seen = new Set();
+  const returnItems = [];
+
+  for (const item of items) {
+    const orderItem = item.itemId ? order.items.id(item.itemId) : null;
+    if (!orderItem) {
+      throw new ReturnError(`Order item ${item.itemId} not found`);
+    }
+    if (seen.has(orderItem._id.toString())) {
+      throw new ReturnError(`Order item ${item.itemId} is listed more than once`);
+    }
+    seen.add(orderItem._id.toString());
+
+    const remaining =
+      orderItem.quantity - (alreadyReturned.get(orderItem._id.toString()) || 0);
+    const quantity = parseInt(item.quantity, 10);
+    if (isNaN(quantity) || quantity < 1 || quantity > remaining) {
+      throw new ReturnError(
+        `Quantity for ${orderItem.productName} must be between 1 and ${remaining}`,
+      );
+    }
+
+    if (!returnConfig.reasons.includes(item.reason)) {
+      throw new ReturnError(
+        `Reason must be one of: ${returnConfig.reasons.join(", ")}`,
+      );
+    }
+
+    returnItems.push({
+      orderItemId: orderItem._id,
+      productId: orderItem.productId,
+      variantId: orderItem.variantId,
+      productName: orderItem.productName,
+      price: orderItem.price,
+      quantity,
+      reason: item.reason,
+      comment: item.comment,
+    });
+  }
+
+  return returnItems;
+};
+
+// Create a return request for lines of the buyer's delivered order
+const createReturn = async (actor, { orderId, items }) => {
+  const order = mongoose.isValidObjectId(orderId) ? await Order.findById(orderId) : null;
+  if (!order || order.userId.toString() !== actor.userId) {
+    throw new ReturnError("Order not found", 404);
+  }
+
+  if (order.status !== "delivered") {
+    throw new ReturnError("Only delivered orders can be returned");
+  }
+
+  const windowEnds = new Date(
+    deliveredAt(order).getTime() + returnConfig.windowDays * 24 * 60 * 60 * 1000,
+  );
+  if (windowEnds < new Date()) {
+    throw new ReturnError(
+      `Returns must be requested within ${returnConfig.windowDays} days of delivery`,
+    );
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ReturnError("At least one item is required");
+  }
+
+  // Next RMA number (outside the transaction, like order numbers)
+  const rmaNumber = await sequenceService.next("return");
+
+  const session = await mongoose.startSession();
+  try {
+    let returnRequest;
+    // Writing the order first makes concurrent requests for it conflict, so
+    // the retried one sees the other's return in returnedQuantities
+    await session.withTransaction(async () => {
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { lastReturnRequestedAt: new Date() } },
+        { session },
+      );
+      const returnItems = buildReturnItems(
+        order,
+        items,
+        await returnedQuantities(order._id, session),
+      );
+
+      [returnRequest] = await Return.create(
+        [
+          {
+            rmaNumber,
+            order: order._id,
+            user: actor.userId,
+            items: returnItems,
+            statusHistory: [historyEntry("requested", actor)],
+          },
+        ],
+        { session },
+      );
+    });
+    return returnRequest;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Admins manage every return, sellers returns of only their own products
+const canManageReturn = async (returnRequest, actor) => {
+  if (hasPermission(actor.role, PERMISSIONS.ORDERS_MANAGE_ANY)) return true;
+
+  const productIds = returnRequest.items.map((item) => item.productId);
+  const sellerCount = await Product.countDocuments({
+    _id: { $in: productIds },
+    seller: actor.userId,
+  });
+  return sellerCount === new Set(productIds.map(String)).size;
+};
+
+const assertTransition = (returnRequest, status) => {
+  if (!(RETURN_TRANSITIONS[returnRequest.status] || []).includes(status)) {
+    throw new ReturnError(
+      `Cannot change return from ${returnRequest.status} to ${status}`,
+    );
+  }
+};
+
+// Approve, reject or mark a return as received
+const changeStatus = async (returnRequest, { status, note = "", actor }) => {
+  if (!["approved", "rejected", "received"].includes(status)) {
+    throw new ReturnError("Status must be approved, rejected or received");
+  }
+  assertTransition(returnRequest, status);
+
+  const updated = await Return.findOneAndUpdate(
+    { _id: returnRequest._id, status: returnRequest.status },
+    { $set: { status }, $push: { statusHistory: historyEntry(status, actor, note) } },
+    { new: true },
+  );
+  if (!updated) {
+    throw new ReturnError("Return status was changed by someone else", 409);
+  }
+  return updated;
+};
+
+// Record the inspection: accepted quantity per line, restock accepted items
+// where requested, and calculate the refund (tax included proportionally).
+const inspect = async (returnRequest, { items = [], note = "", actor }) => {
+  assertTransition(returnRequest, "inspected");
+
+  const decisions = new Map(
+    (Array.isArray(items) ? items : []).map((item) => [String(item.itemId), item]),
+  );
+
+  const session = await mongoose.startSession();
+  let updated;
+  try {
+    await session.withTransaction(async () => {
+      updated = await Return.findOne({
+        _id: returnRequest._id,
+        status: "received",
+      }).session(session);
+      if (!updated) {
+        throw new ReturnError("Return status was changed by someone else", 409);
+      }
+      const order = await Order.findById(updated.order).session(session);
+
+      // Lines without a decision are accepted in full and restocked
+      const restockItems = [];
+      let acceptedSubtotal = 0;
+      for (const item of updated.items) {
+        const decision = decisions.get(item.orderItemId.toString()) || {};
+        const acceptedQuantity =
+          decision.acceptedQuantity === undefined
+            ? item.quantity
+            : parseInt(decision.acceptedQuantity, 10);
+        if (isNaN(acceptedQuantity) || acceptedQuantity < 0 || acceptedQuantity > item.quantity) {
+          throw new ReturnError(
+            `Accepted quantity for ${item.productName} must be between 0 and ${item.quantity}`,
+          );
+        }
+
+        item.acceptedQuantity = acceptedQuantity;
+        item.restocked = decision.restock !== false && acceptedQuantity > 0;
+        if (item.restocked) {
+          restockItems.push({
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity: acceptedQuantity,
+          });
+        }
+        acceptedSubtotal += item.price * acceptedQuantity;
+      }
+
+      updated.refundAmount =
+        order && order.subtotal > 0
+          ? refundService.roundAmount((acceptedSubtotal * order.total) / order.subtotal)
+          : 0;
+      updated.status = "inspected";
+      updated.statusHistory.push(historyEntry("inspected", actor, note));
+      await updated.save({ session });
+
+      await orderStatusService.restoreStock(restockItems, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return updated;
+};
+
+// Refund an inspected return (the calculated amount unless one is given;
+// sellers can only give a lower amount)
+const refund = async (returnRequest, { amount, note = "", actor }) => {
+  assertTransition(returnRequest, "refunded");
+
+  const session = await mongoose.startSession();
+  let updated;
+  let order;
+  try {
+    await session.withTransaction(async () => {
+      updated = await Return.findOne({
+        _id: returnRequest._id,
+        status: "inspected",
+      }).session(session);
+      if (!updated) {
+        throw new ReturnError("Return status was changed by someone else", 409);
+      }
+
+      order = await Order.findById(updated.order).session(session);
+      if (!order) {
+        throw new ReturnError("Order not found", 404);
+      }
+
+      // Only admins may refund more than the inspected amount (e.g. shipping)
+      const refundAmount =
+        amount === undefined ? updated.refundAmount : refundService.roundAmount(Number(amount));
+      if (
+        !hasPermission(actor.role, PERMISSIONS.ORDERS_MANAGE_ANY) &&
+        !(refundAmount <= updated.refundAmount)
+      ) {
+        throw new ReturnError(
+          `Refund amount can't be more than the return's ${updated.refundAmount}`,
+        );
+      }
+
+      const refundRecord = await refundService.recordRefund(
+        order,
+        {
+          amount: refundAmount,
+          reason: `Return ${updated.rmaNumber}`,
+          returnId: updated._id,
+          actor,
+        },
+        session,
+      );
+
+      updated.refundId = refundRecord._id;
+      updated.status = "refunded";
+      updated.statusHistory.push(historyEntry("refunded", actor, note));
+      await updated.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  order = await refundService.submitPendingRefunds(order._id);
+  return { returnRequest: updated, order };
+};
+
+module.exports = {
+  RETURN_TRANSITIONS,
+  createReturn,
+  canManageReturn,
+  changeStatus,
+  inspect,
+  refund,
+  ReturnError,
+};
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+
+// Delivered order of the user containing the product, or null
+exports.findEligibleOrder = (userId, productId) => {
+  return Order.findOne({
+    userId,
+    status: "delivered",
+    "items.productId": productId,
+  }).sort({ createdAt: -1 });
+};
+
+// Recalculate Product.ratings from published reviews
+exports.recalculateProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(String(productId)),
+        status: "published",
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: "$rating" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const ratings = stats
+    ? { average: Math.round(stats.average * 10) / 10, count: stats.count }
+    : { average: 0, count: 0 };
+
+  await Product.updateOne({ _id: productId }, { ratings });
+  return ratings;
+};
@@ -0,0 +1,69 @@
+const Counter = require("../models/Counter");
+const sequenceConfig = require("../config/sequences");
+
+const DATE_FORMATS = {
+  "": () => "",
+  YYYY: (date) => date.toISOString().slice(0, 4),
+  YYYYMM: (date) => date.toISOString().slice(0, 7).replace("-", ""),
+  YYYYMMDD: (date) => date.toISOString().slice(0, 10).replace(/-/g, ""),
+};
+
+// Luhn check digit over the digits of a string
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  // Double every second digit from the right, starting with the rightmost
+  [...digits].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Atomically increment a counter and return the new value
+const increment = async (key) => {
+  const update = { $inc: { seq: 1 } };
+  const options = { upsert: true, new: true };
+  try {
+    return (await Counter.findOneAndUpdate({ _id: key }, update, options)).seq;
+  } catch (error) {
+    // Two first-ever increments can race on the upsert; the retry finds the document
+    if (error.code !== 11000) throw error;
+    return (await Counter.findOneAndUpdate({ _id: key }, update, options)).seq;
+  }
+};
+
+// Format a sequence value, e.g. ORD-20261019-000042-7
+const formatNumber = (format, value, date = new Date()) => {
+  const dateSegment = DATE_FORMATS[format.dateFormat](date);
+  const number = String(value).padStart(format.padding, "0");
+  const parts = [format.prefix, dateSegment, number].filter(Boolean);
+
+  if (format.checkDigit) {
+    parts.push(luhnCheckDigit(`${dateSegment}${number}`));
+  }
+  return parts.join(format.separator);
+};
+
+// Next number of a named sequence from config/sequences.js. Numbers are never
+// reused, though a failed operation can leave a gap.
+exports.next = async (name, date = new Date()) => {
+  const format = sequenceConfig[name];
+  if (!format) {
+    throw new Error(`Unknown sequence "${name}"`);
+  }
+  if (!DATE_FORMATS.hasOwnProperty(format.dateFormat)) {
+    throw new Error(
+      `Invalid date format "${format.dateFormat}" for sequence "${name}"`,
+    );
+  }
+
+  const dateSegment = DATE_FORMATS[format.dateFormat](date);
+  const key = dateSegment ? `${name}:${dateSegment}` : name;
+  const value = await increment(key);
+
+  return formatNumber(format, value, date);
+};
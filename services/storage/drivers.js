@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+};
+
+// Cloudinary driver - files live in Cloudinary, public_id is the Cloudinary id
+const createCloudinaryDriver = () => {
+  const cloudinary = require("../../config/cloudinary");
+
+  return {
+    name: "cloudinary",
+    put: (buffer, { folder }) =>
+      new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+          {
+            folder,
+            resource_type: "auto",
+          },
+          (error, result) => {
+            if (error) reject(error);
+            else resolve({ url: result.secure_url, public_id: result.public_id });
+          },
+        );
+
+        uploadStream.end(buffer);
+      }),
+    delete: async (publicId) => {
+      await cloudinary.uploader.destroy(publicId);
+    },
+    url: (publicId) => cloudinary.url(publicId, { secure: true }),
+  };
+};
+
+// Local driver - files are written under STORAGE_LOCAL_DIR and served by the
+// static route in server.js. public_id is the path relative to that directory.
+const createLocalDriver = () => {
+  const root = path.resolve(
+    process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), "uploads"),
+  );
+  // Absolute base (e.g. https://api.example.com/uploads) or a path on this server
+  const baseUrl = (process.env.STORAGE_PUBLIC_URL || "/uploads").replace(/\/+$/, "");
+  const urlPath = baseUrl.startsWith("/") ? baseUrl : new URL(baseUrl).pathname;
+
+  const resolvePath = (publicId) => {
+    const filePath = path.resolve(root, publicId);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error("Invalid file id");
+    }
+    return filePath;
+  };
+
+  const driver = {
+    name: "local",
+    root,
+    urlPath,
+    put: async (buffer, { folder, contentType, originalName }) => {
+      const extension =
+        EXTENSIONS[contentType] ||
+        (originalName ? path.extname(originalName).toLowerCase() : "");
+      const publicId = path.posix.join(
+        folder,
+        `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${extension}`,
+      );
+      const filePath = resolvePath(publicId);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return { url: driver.url(publicId), public_id: publicId };
+    },
+    delete: async (publicId) => {
+      try {
+        await fs.unlink(resolvePath(publicId));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+    url: (publicId) => `${baseUrl}/${publicId}`,
+  };
+
+  return driver;
+};
+
+const drivers = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+};
+
+// Create a storage driver by name
+exports.createDriver = (name) => {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown storage driver "${name}". Use one of: ${Object.keys(drivers).join(", ")}`,
+    );
+  }
+  return factory();
+};
@@ -0,0 +1,46 @@
+const { createDriver } = require("./drivers");
+
+let driver = null;
+
+// Driver selected by STORAGE_DRIVER (cloudinary, local), created on first use
+const getDriver = () => {
+  if (!driver) {
+    driver = createDriver(process.env.STORAGE_DRIVER || "cloudinary");
+  }
+  return driver;
+};
+
+// Replace the active driver (name or driver object)
+const setDriver = (nameOrDriver) => {
+  driver =
+    typeof nameOrDriver === "string" ? createDriver(nameOrDriver) : nameOrDriver;
+};
+
+// Store a file buffer. Returns { url, public_id }.
+const put = (buffer, options) => getDriver().put(buffer, options);
+
+// Delete a stored file by its public_id
+const remove = (publicId) => getDriver().delete(publicId);
+
+// Delete a stored file, logging instead of throwing on failure
+const tryRemove = async (publicId) => {
+  try {
+    await remove(publicId);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting file "${publicId}":`, error);
+    return false;
+  }
+};
+
+// Public URL of a stored file
+const url = (publicId) => getDriver().url(publicId);
+
+module.exports = {
+  getDriver,
+  setDriver,
+  put,
+  delete: remove,
+  tryRemove,
+  url,
+};
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || "15m";
+const REFRESH_TOKEN_EXPIRE_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+
+// Hash refresh tokens before storing them
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Generate short-lived access token
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, role: user.role, tokenVersion: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE },
+  );
+};
+
+// Create and store a new refresh token
+const issueRefreshToken = async (user, req) => {
+  const token = crypto.randomBytes(40).toString("hex");
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 86400000),
+    createdByIp: req?.ip || "",
+    userAgent: req?.headers?.["user-agent"] || "",
+  });
+
+  return token;
+};
+
+// Short-lived token identifying a login waiting for its second factor. Only
+// the latest one issued for a user is valid, and only once.
+exports.generateTwoFactorToken = async (user) => {
+  const jti = crypto.randomBytes(16).toString("hex");
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.loginTokenId": jti } },
+  );
+
+  return jwt.sign(
+    { userId: user._id, tokenVersion: user.tokenVersion || 0, purpose: "two_factor" },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_TOKEN_EXPIRE || "5m", jwtid: jti },
+  );
+};
+
+// Decode a two-factor login token. Returns null if invalid or expired.
+exports.verifyTwoFactorToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "two_factor" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Use up a two-factor login token. Returns false if it was already used,
+// replaced by a newer login or discarded after too many invalid codes.
+exports.consumeTwoFactorToken = async (decoded) => {
+  if (!decoded.jti) return false;
+
+  const result = await User.updateOne(
+    { _id: decoded.userId, "twoFactor.loginTokenId": decoded.jti },
+    { $set: { "twoFactor.loginTokenId": null } },
+  );
+  return result.modifiedCount > 0;
+};
+
+// Issue an access/refresh token pair
+exports.issueTokens = async (user, req) => {
+  return {
+    token: generateAccessToken(user),
+    refreshToken: await issueRefreshToken(user, req),
+  };
+};
+
+// Exchange a refresh token for a new pair, revoking the old one.
+// Returns null if the token is unknown, expired or revoked.
+exports.rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Revoke before issuing, so of concurrent refreshes with one token only one wins
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: now },
+  );
+
+  if (!stored) {
+    // A revoked token being reused means it was leaked - revoke every session
+    const revoked = await RefreshToken.findOne({ tokenHash });
+    if (revoked) {
+      await exports.revokeAllSessions(revoked.userId);
+    }
+    return null;
+  }
+
+  if (stored.expiresAt < now) {
+    return null;
+  }
+
+  const user = await User.findById(stored.userId);
+  if (
+    !user ||
+    user.status === "inactive" ||
+    stored.tokenVersion !== (user.tokenVersion || 0)
+  ) {
+    return null;
+  }
+
+  const tokens = await exports.issueTokens(user, req);
+
+  await RefreshToken.updateOne(
+    { _id: stored._id },
+    { replacedBy: hashToken(tokens.refreshToken) },
+  );
+
+  return { user, ...tokens };
+};
+
+// Revoke a single refresh token
+exports.revokeRefreshToken = async (refreshToken) => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date() },
+  );
+  return result.modifiedCount > 0;
+};
+
+// Invalidate every access and refresh token of a user
+exports.revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() },
+  );
+};
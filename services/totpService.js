@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step before/after to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP value for a counter (RFC 4226)
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Key used to encrypt secrets at rest
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/-/g, "").toLowerCase())
+    .digest("hex");
+
+// Generate a new random base32 secret
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Encrypt a secret for storage (AES-256-GCM)
+exports.encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("hex"))
+    .join(":");
+};
+
+// Decrypt a stored secret
+exports.decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(":").map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+// otpauth:// URI for authenticator apps (rendered as a QR code by the client)
+exports.buildProvisioningUri = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || "Payplex";
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Verify a TOTP code. Returns the matched time step, or null.
+// Steps at or before lastUsedStep are rejected to prevent replay.
+exports.verifyCode = (secret, code, lastUsedStep = -1) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+    const candidate = step + offset;
+    if (candidate <= lastUsedStep) continue;
+
+    const expected = Buffer.from(hotp(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// Generate recovery codes. Returns plain codes (shown once) and their hashes.
+exports.generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Consume a recovery code. Returns the remaining hashes, or null if no match.
+exports.useRecoveryCode = (hashes, code) => {
+  const hash = hashRecoveryCode(String(code));
+  if (!hashes.includes(hash)) {
+    return null;
+  }
+  return hashes.filter((stored) => stored !== hash);
+};
+
+// Roles that must have two-factor authentication enabled
+exports.requiresTwoFactor = (user) => {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || "admin")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean);
+  return roles.includes(user.role);
+};
+
+exports.hotp = hotp;
+exports.base32Encode = base32Encode;
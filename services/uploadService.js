@@ -0,0 +1,242 @@
+const Upload = require("../models/Upload");
+const uploadConfig = require("../config/uploads");
+const storage = require("./storage");
+
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "UploadError";
+    this.status = status;
+  }
+}
+
+// Every stored file of an image (main file and variants)
+const imageFiles = (image) => [
+  image.public_id,
+  ...(image.variants || []).map((variant) => variant.public_id),
+];
+
+const toPublicIds = (images) =>
+  images.filter((image) => image && image.public_id).map((image) => image.public_id);
+
+// Images on a product, including variant images
+const productImages = (product) => [
+  ...(product.images || []),
+  ...(product.variants || []).flatMap((variant) => variant.images || []),
+];
+
+// Record a freshly stored image as pending until something references it
+const registerUpload = (image, { owner = null, folder } = {}) => {
+  return Upload.create({
+    public_id: image.public_id,
+    url: image.url,
+    files: imageFiles(image),
+    owner,
+    folder,
+  });
+};
+
+// Check images submitted for a document before saving it. Each must already
+// be on the document or be a pending upload of the owner (null for anonymous
+// uploads), so nobody can reference, and later delete, someone else's files.
+// Throws UploadError.
+const checkSubmittedImages = async (images, { owner = null, existing = [] }) => {
+  if (images.some((image) => !image || typeof image.public_id !== "string")) {
+    throw new UploadError("Every image needs the public_id returned by the upload");
+  }
+
+  const existingIds = new Set(toPublicIds(existing));
+  const newIds = toPublicIds(images).filter((publicId) => !existingIds.has(publicId));
+  if (newIds.length === 0) return;
+
+  const available = await Upload.distinct("public_id", {
+    public_id: { $in: newIds },
+    status: "pending",
+    owner,
+  });
+  const unavailable = newIds.filter((publicId) => !available.includes(publicId));
+  if (unavailable.length > 0) {
+    throw new UploadError(`Unknown or already used images: ${unavailable.join(", ")}`);
+  }
+};
+
+// Mark pending uploads as used by a document. Only uploads of the same owner
+// (or anonymous ones) are claimed.
+const attachUploads = async (images, { kind, item, owner }) => {
+  const publicIds = toPublicIds(images);
+  if (publicIds.length === 0) return;
+
+  await Upload.updateMany(
+    {
+      public_id: { $in: publicIds },
+      status: "pending",
+      owner: { $in: [owner, null] },
+    },
+    {
+      $set: {
+        status: "attached",
+        owner,
+        attachedTo: { kind, item },
+        attachedAt: new Date(),
+      },
+    },
+  );
+};
+
+// Register an image stored on behalf of a document and attach it immediately
+const registerAttached = async (image, { owner, folder, kind, item }) => {
+  await registerUpload(image, { owner, folder });
+  await attachUploads([image], { kind, item, owner });
+};
+
+const retryDelay = (attempts) =>
+  Math.min(2 ** attempts, uploadConfig.maxRetryDelayMinutes) * 60 * 1000;
+
+// Delete the remaining files of a queued upload. Failures are recorded and
+// retried by the sweeper; this never throws.
+const processDeletion = async (upload) => {
+  const remaining = [...upload.files];
+
+  try {
+    while (remaining.length > 0) {
+      await storage.delete(remaining[0]);
+      remaining.shift();
+    }
+    await Upload.deleteOne({ _id: upload._id });
+    return true;
+  } catch (error) {
+    const deleteAttempts = upload.deleteAttempts + 1;
+    await Upload.updateOne(
+      { _id: upload._id },
+      {
+        $set: {
+          files: remaining,
+          deleteAttempts,
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + retryDelay(deleteAttempts)),
+          status:
+            deleteAttempts >= uploadConfig.maxDeleteAttempts ? "failed" : "deleting",
+        },
+      },
+    );
+    console.error(`Error deleting upload "${upload.public_id}":`, error);
+    return false;
+  }
+};
+
+// Queue a document's images for deletion and try to delete them now. Only
+// uploads attached to that document are deleted. Images missing from the
+// registry (uploaded before it existed) are added to it.
+const deleteImages = async (images, { kind, item }) => {
+  for (const image of images) {
+    if (!image || !image.public_id) continue;
+
+    let upload = await Upload.findOneAndUpdate(
+      {
+        public_id: image.public_id,
+        status: "attached",
+        "attachedTo.kind": kind,
+        "attachedTo.item": item,
+      },
+      { $set: { status: "deleting", nextAttemptAt: new Date() } },
+      { new: true },
+    );
+
+    if (!upload) {
+      try {
+        upload = await Upload.create({
+          public_id: image.public_id,
+          url: image.url,
+          files: imageFiles(image),
+          status: "deleting",
+          attachedTo: { kind, item },
+          nextAttemptAt: new Date(),
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        console.error(
+          `Not deleting upload "${image.public_id}": it is not attached to ${kind} ${item}`,
+        );
+        continue;
+      }
+    }
+
+    await processDeletion(upload);
+  }
+};
+
+// Attach newly referenced images and delete ones no longer referenced
+const syncImages = async (previousImages, currentImages, attachment) => {
+  const currentIds = new Set(toPublicIds(currentImages));
+
+  await attachUploads(currentImages, attachment);
+  await deleteImages(
+    previousImages.filter((image) => image && !currentIds.has(image.public_id)),
+    attachment,
+  );
+};
+
+// Queue expired unattached uploads, then retry due deletions.
+// Returns { expired, deleted, failed }.
+const sweep = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - uploadConfig.unattachedTtlHours * 60 * 60 * 1000);
+
+  const expired = await Upload.updateMany(
+    { status: "pending", createdAt: { $lt: cutoff } },
+    { $set: { status: "deleting", nextAttemptAt: now } },
+  );
+
+  const due = await Upload.find({
+    status: "deleting",
+    nextAttemptAt: { $lte: now },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(uploadConfig.sweepBatchSize);
+
+  let deleted = 0;
+  for (const upload of due) {
+    if (await processDeletion(upload)) deleted++;
+  }
+
+  return {
+    expired: expired.modifiedCount,
+    deleted,
+    failed: due.length - deleted,
+  };
+};
+
+// Run the sweeper on an interval inside this process
+const startSweeper = () => {
+  if (uploadConfig.sweepIntervalMinutes <= 0) return null;
+
+  const timer = setInterval(async () => {
+    try {
+      const result = await sweep();
+      if (result.expired || result.deleted || result.failed) {
+        console.log(
+          `Upload sweep: ${result.expired} expired, ${result.deleted} deleted, ${result.failed} failed`,
+        );
+      }
+    } catch (error) {
+      console.error("Upload sweep error:", error);
+    }
+  }, uploadConfig.sweepIntervalMinutes * 60 * 1000);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  productImages,
+  registerUpload,
+  checkSubmittedImages,
+  registerAttached,
+  attachUploads,
+  deleteImages,
+  syncImages,
+  sweep,
+  startSweeper,
+  UploadError,
+};
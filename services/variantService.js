@@ -0,0 +1,147 @@
+// Validation and lookup helpers for product variants
+
+class VariantError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "VariantError";
+  }
+}
+
+const optionKey = (options, optionTypes) =>
+  optionTypes.map((type) => `${type.name}=${options[type.name]}`).join("|");
+
+// Validate option types and variants from a request body and return them in
+// the shape stored on Product. Existing variant ids are kept when the SKU
+// matches so cart lines pointing at them stay valid. Throws VariantError.
+exports.normalizeVariants = (optionTypes = [], variants = [], existingVariants = []) => {
+  if (!Array.isArray(optionTypes) || !Array.isArray(variants)) {
+    throw new VariantError("optionTypes and variants must be arrays");
+  }
+
+  if (variants.length === 0) {
+    return { optionTypes: [], variants: [] };
+  }
+
+  if (optionTypes.length === 0) {
+    throw new VariantError("Option types are required when adding variants");
+  }
+
+  const normalizedTypes = optionTypes.map((type) => {
+    const name = typeof type.name === "string" ? type.name.trim() : "";
+    const values = Array.isArray(type.values)
+      ? [...new Set(type.values.map((value) => String(value).trim()).filter(Boolean))]
+      : [];
+
+    if (!name || values.length === 0) {
+      throw new VariantError("Each option type needs a name and at least one value");
+    }
+    return { name, values };
+  });
+
+  const typeNames = normalizedTypes.map((type) => type.name);
+  if (new Set(typeNames).size !== typeNames.length) {
+    throw new VariantError("Option type names must be unique");
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+
+  const normalizedVariants = variants.map((variant) => {
+    const sku = typeof variant.sku === "string" ? variant.sku.trim() : "";
+    if (!sku) {
+      throw new VariantError("Each variant needs a SKU");
+    }
+    if (skus.has(sku)) {
+      throw new VariantError(`Duplicate variant SKU "${sku}"`);
+    }
+    skus.add(sku);
+
+    const options = {};
+    for (const type of normalizedTypes) {
+      const value = variant.options?.[type.name];
+      if (!type.values.includes(value)) {
+        throw new VariantError(
+          `Variant ${sku} needs a ${type.name} of: ${type.values.join(", ")}`,
+        );
+      }
+      options[type.name] = value;
+    }
+
+    const key = optionKey(options, normalizedTypes);
+    if (combinations.has(key)) {
+      throw new VariantError(`Variant ${sku} duplicates another variant's options`);
+    }
+    combinations.add(key);
+
+    const quantity = parseInt(variant.quantity, 10);
+    if (isNaN(quantity) || quantity < 0) {
+      throw new VariantError(`Variant ${sku} quantity must be a valid positive number`);
+    }
+
+    let price = null;
+    if (variant.price !== undefined && variant.price !== null && variant.price !== "") {
+      price = parseFloat(variant.price);
+      if (isNaN(price) || price < 0) {
+        throw new VariantError(`Variant ${sku} price must be a valid positive number`);
+      }
+    }
+
+    // Image objects as returned by the upload endpoint
+    const images = variant.images || [];
+    if (
+      !Array.isArray(images) ||
+      !images.every(
+        (img) =>
+          img &&
+          img.url &&
+          typeof img.url === "string" &&
+          img.public_id &&
+          typeof img.public_id === "string",
+      )
+    ) {
+      throw new VariantError(`Variant ${sku} has invalid image data`);
+    }
+
+    const existing = existingVariants.find((current) => current.sku === sku);
+
+    return {
+      ...(existing ? { _id: existing._id } : {}),
+      sku,
+      options,
+      price,
+      quantity,
+      images,
+      isActive: variant.isActive !== false,
+    };
+  });
+
+  return { optionTypes: normalizedTypes, variants: normalizedVariants };
+};
+
+// Find the variant a cart line refers to. Returns { variant, error }.
+exports.resolveVariant = (product, variantId) => {
+  if (!product.hasVariants()) {
+    return { variant: null, error: null };
+  }
+
+  if (!variantId) {
+    return { variant: null, error: "Please select a variant for this product" };
+  }
+
+  const variant = product.variants.id(variantId);
+  if (!variant || !variant.isActive) {
+    return { variant: null, error: "Product variant not found" };
+  }
+
+  return { variant, error: null };
+};
+
+// Human-readable variant label, e.g. "Size: M, Colour: Red"
+exports.describeVariant = (variant) => {
+  if (!variant) return "";
+  return [...variant.options.entries()]
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(", ");
+};
+
+exports.VariantError = VariantError;
@@ -0,0 +1,12 @@
+// URL-friendly slug from a name, e.g. "Men's Shoes" -> "mens-shoes"
+const slugify = (value) => {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['"]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+module.exports = slugify;